@@ -0,0 +1,814 @@
+// ==========================================
+// ATMOSPHERIC CHEMISTRY SIMULATOR
+// Analysis: sensitivity of the concentrations to the rate constants,
+// Monte Carlo ensembles over their uncertainty, variance-based
+// (Sobol) sensitivity to chosen inputs, O3 isopleths over NOx and VOC
+// emissions and spin-up to the diurnal-periodic state
+// Loaded as a plain script in the browser (global AtmosAnalysis)
+// and with require() in Node
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./atmos-mechanism.js'), require('./atmos-engine.js'));
+    } else {
+        root.AtmosAnalysis = factory(root.AtmosMechanism, root.AtmosEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Mechanism, Engine) {
+
+// Analyses run one model integration at a time: a job holds the runs
+// still to do, step(job) does the next one and returns whether more
+// remain, so the UI can interleave them with redraws. run*() does the
+// whole job at once (e.g. from the CLI).
+
+// Concentrations below this (ppb) count as this for ln C
+const CONCENTRATION_FLOOR = 1e-12;
+
+// Samples { time, concentrations } of a copy of the model run for
+// duration (s) in steps of dt (s), ending with the final state.
+// prepare(copy) changes the copy before the run.
+function runCopy(model, duration, dt, prepare) {
+    const run = Engine.cloneModel(model);
+    prepare(run);
+    Engine.runModel(run, duration, dt);
+    
+    const series = run.series;
+    if (series.time[series.time.length - 1] !== run.time) {
+        series.time.push(run.time);
+        Object.keys(series.concentrations).forEach(sp => { series.concentrations[sp].push(run.concentrations[sp]); });
+    }
+    return { time: series.time, concentrations: series.concentrations };
+}
+
+// ==========================================
+// LOCAL SENSITIVITY
+// ==========================================
+
+// Normalized sensitivity coefficients S_ij = ∂ln C_i / ∂ln k_j by
+// brute-force perturbation: the model is run from its current state
+// once as it is and once with each rate constant scaled by
+// (1 + perturbation), and S_ij = ln(C_i' / C_i) / ln(1 + perturbation)
+// at every stored sample
+function createSensitivity(model, duration, dt, options = {}) {
+    if (!(duration > 0) || !(dt > 0)) {
+        throw new Error('duration and dt must be positive numbers of seconds');
+    }
+    const perturbation = options.perturbation !== undefined ? options.perturbation : 0.01;
+    if (!(perturbation > 0)) throw new Error('Sensitivity perturbation must be a positive fraction');
+    const reactions = options.reactions || model.mechanism.reactions.map(rxn => rxn.id);
+    reactions.forEach(id => {
+        if (model.mechanism.index[id] === undefined) throw new Error(`Unknown reaction "${id}"`);
+    });
+    return {
+        model: Engine.cloneModel(model),
+        duration: duration,
+        dt: dt,
+        perturbation: perturbation,
+        species: Object.keys(model.mechanism.species),
+        reactions: reactions,
+        base: null, // samples of the unperturbed run
+        coefficients: {}, // { reaction id: { species: [S at each sample] } }
+        completed: 0, // runs done, of reactions.length + 1
+        total: reactions.length + 1
+    };
+}
+
+// The model's rate multipliers with further factors { id: factor } applied
+function scaledMultipliers(model, factors) {
+    const scaled = Object.assign({}, model.rateMultipliers);
+    Object.keys(factors).forEach(id => {
+        scaled[id] = (scaled[id] !== undefined ? scaled[id] : 1) * factors[id];
+    });
+    return scaled;
+}
+
+// Samples of the job's model run with some rate constants scaled
+function runPerturbed(job, factors) {
+    return runCopy(job.model, job.duration, job.dt, run => {
+        Engine.setRateMultipliers(run, scaledMultipliers(run, factors));
+    });
+}
+
+// Run the next integration of a sensitivity job; false once all are done
+function sensitivityStep(job) {
+    if (job.completed >= job.total) return false;
+    if (!job.base) {
+        job.base = runPerturbed(job, {});
+    } else {
+        const id = job.reactions[job.completed - 1];
+        const series = runPerturbed(job, { [id]: 1 + job.perturbation });
+        const scale = Math.log(1 + job.perturbation);
+        job.coefficients[id] = {};
+        job.species.forEach(sp => {
+            const base = job.base.concentrations[sp];
+            job.coefficients[id][sp] = series.concentrations[sp].map((c, i) =>
+                Math.log(Math.max(c, CONCENTRATION_FLOOR) / Math.max(base[i], CONCENTRATION_FLOOR)) / scale);
+        });
+    }
+    job.completed++;
+    return job.completed < job.total;
+}
+
+// Result of a finished job: { time (s from the start of the job),
+// species, reactions, perturbation, coefficients }
+function sensitivityResult(job) {
+    if (job.completed < job.total) throw new Error('Sensitivity analysis is not finished');
+    return {
+        time: job.base.time.map(t => t - job.model.time),
+        species: job.species,
+        reactions: job.reactions,
+        perturbation: job.perturbation,
+        coefficients: job.coefficients
+    };
+}
+
+function runSensitivity(model, duration, dt, options) {
+    const job = createSensitivity(model, duration, dt, options);
+    while (sensitivityStep(job));
+    return sensitivityResult(job);
+}
+
+// Coefficients at one sample as { reaction id: { species: S } }
+function sensitivityAt(result, sample = result.time.length - 1) {
+    const matrix = {};
+    result.reactions.forEach(id => {
+        matrix[id] = {};
+        result.species.forEach(sp => { matrix[id][sp] = result.coefficients[id][sp][sample]; });
+    });
+    return matrix;
+}
+
+// Reactions ordered by |S| for one species at one sample, largest first
+function rankReactions(result, sp, sample = result.time.length - 1) {
+    const magnitude = id => Math.abs(result.coefficients[id][sp][sample]);
+    return result.reactions.slice().sort((a, b) => magnitude(b) - magnitude(a));
+}
+
+// One row per sample and reaction, one column per species
+function sensitivityToCSV(result, species) {
+    let csv = 'Time(hours),Reaction,' +
+        result.species.map(sp => `S(${species ? species[sp].name : sp})`).join(',') + '\n';
+    result.time.forEach((t, i) => {
+        result.reactions.forEach(id => {
+            csv += (t / 3600).toFixed(4) + ',' + id;
+            result.species.forEach(sp => {
+                csv += ',' + result.coefficients[id][sp][i].toExponential(4);
+            });
+            csv += '\n';
+        });
+    });
+    return csv;
+}
+
+// ==========================================
+// MONTE CARLO ENSEMBLE
+// ==========================================
+
+// Seeded uniform generator on [0, 1) (mulberry32), so an ensemble can
+// be repeated exactly
+function createRandom(seed = 1) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(a ^ (a >>> 15), a | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal deviate (Box-Muller)
+function normalDeviate(random) {
+    const u = 1 - random(); // (0, 1], so the log is finite
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Log-normal factor whose ln has standard deviation ln f
+function lognormalFactor(f, random) {
+    return Math.exp(Math.log(f) * normalDeviate(random));
+}
+
+// Percentile p (0-100) of sorted values, interpolating between ranks
+function percentile(sorted, p) {
+    const rank = p / 100 * (sorted.length - 1);
+    const below = Math.floor(rank);
+    const above = Math.min(sorted.length - 1, below + 1);
+    return sorted[below] + (rank - below) * (sorted[above] - sorted[below]);
+}
+
+// Statistics reported for every species and sample
+const ENSEMBLE_STATISTICS = { p5: 5, median: 50, p95: 95 };
+
+// Monte Carlo ensemble from the model's current state: every member
+// scales each rate constant by a log-normal factor with ln σ = ln f(T)
+// at the model temperature (see Mechanism.uncertaintyFactor), and
+// optionally each emission rate and initial concentration with factors
+// emissionUncertainty and initialUncertainty (1: exact)
+function createEnsemble(model, duration, dt, options = {}) {
+    if (!(duration > 0) || !(dt > 0)) {
+        throw new Error('duration and dt must be positive numbers of seconds');
+    }
+    const members = options.members !== undefined ? options.members : 50;
+    if (!Number.isInteger(members) || members < 2) {
+        throw new Error('An ensemble needs a whole number of at least 2 members');
+    }
+    const emissionUncertainty = options.emissionUncertainty !== undefined ? options.emissionUncertainty : 1;
+    const initialUncertainty = options.initialUncertainty !== undefined ? options.initialUncertainty : 1;
+    if (!(emissionUncertainty >= 1) || !(initialUncertainty >= 1)) {
+        throw new Error('Uncertainty factors must be at least 1');
+    }
+    const T = model.temperature;
+    return {
+        model: Engine.cloneModel(model),
+        duration: duration,
+        dt: dt,
+        members: members,
+        emissionUncertainty: emissionUncertainty,
+        initialUncertainty: initialUncertainty,
+        factors: model.mechanism.reactions.map(rxn => Mechanism.uncertaintyFactor(rxn, T)),
+        random: createRandom(options.seed),
+        species: Object.keys(model.mechanism.species),
+        runs: [], // samples of each member
+        completed: 0,
+        total: members
+    };
+}
+
+// Run the next member of an ensemble; false once all are done
+function ensembleStep(job) {
+    if (job.completed >= job.total) return false;
+    const random = job.random;
+    job.runs.push(runCopy(job.model, job.duration, job.dt, run => {
+        const factors = {};
+        run.mechanism.reactions.forEach((rxn, i) => { factors[rxn.id] = lognormalFactor(job.factors[i], random); });
+        Engine.setRateMultipliers(run, scaledMultipliers(run, factors));
+        Object.keys(run.emissions).forEach(source => {
+            run.emissions[source] *= lognormalFactor(job.emissionUncertainty, random);
+        });
+        job.species.forEach(sp => {
+            run.concentrations[sp] *= lognormalFactor(job.initialUncertainty, random);
+        });
+    }));
+    job.completed++;
+    return job.completed < job.total;
+}
+
+// Result of a finished ensemble: { time (model time, s), members,
+// statistics: { p5, median, p95: { species: [ppb at each sample] } } }
+function ensembleResult(job) {
+    if (job.completed < job.total) throw new Error('Ensemble is not finished');
+    const time = job.runs[0].time.slice();
+    const statistics = {};
+    Object.keys(ENSEMBLE_STATISTICS).forEach(name => { statistics[name] = {}; });
+    job.species.forEach(sp => {
+        Object.keys(statistics).forEach(name => { statistics[name][sp] = []; });
+        time.forEach((t, i) => {
+            const values = job.runs.map(run => run.concentrations[sp][i]).sort((a, b) => a - b);
+            Object.keys(ENSEMBLE_STATISTICS).forEach(name => {
+                statistics[name][sp].push(percentile(values, ENSEMBLE_STATISTICS[name]));
+            });
+        });
+    });
+    return { time: time, species: job.species, members: job.members, statistics: statistics };
+}
+
+function runEnsemble(model, duration, dt, options) {
+    const job = createEnsemble(model, duration, dt, options);
+    while (ensembleStep(job));
+    return ensembleResult(job);
+}
+
+// ==========================================
+// GLOBAL SENSITIVITY (SOBOL)
+// ==========================================
+
+// Inputs a Sobol analysis can vary, by id: temperature (K), pressure
+// (hPa), noxLevel (initial NOx, ppb), emission:<source> (ppb/day) and
+// rate:<reaction id> (factor on the rate constant)
+function applyInput(model, id, value) {
+    const [kind, name] = id.split(':');
+    if (kind === 'temperature' || kind === 'pressure') model[kind] = value;
+    else if (kind === 'noxLevel') Engine.setNoxLevel(model, value);
+    else if (kind === 'emission') model.emissions[name] = value;
+    else if (kind === 'rate') Engine.setRateMultipliers(model, scaledMultipliers(model, { [name]: value }));
+}
+
+function checkInput(model, input) {
+    const [kind, name] = input.id.split(':');
+    const known = ['temperature', 'pressure', 'noxLevel'].includes(kind) ||
+        (kind === 'emission' && model.emissions[name] !== undefined) ||
+        (kind === 'rate' && model.mechanism.index[name] !== undefined);
+    if (!known) throw new Error(`Unknown Sobol input "${input.id}"`);
+    if (!(input.max > input.min)) throw new Error(`Sobol input ${input.id}: max must be above min`);
+    if (input.log && !(input.min > 0)) throw new Error(`Sobol input ${input.id}: a log range must be positive`);
+}
+
+// Value of an input at u in [0, 1): uniform in the range, or in its
+// logarithm when input.log is set
+function inputValue(input, u) {
+    return input.log ? input.min * Math.pow(input.max / input.min, u)
+        : input.min + u * (input.max - input.min);
+}
+
+// Scalar output of one run: a species at the end of the run ('final')
+// or averaged over it ('mean', trapezoidal in time)
+function outputValue(samples, output) {
+    const values = samples.concentrations[output.species];
+    if (output.statistic !== 'mean') return values[values.length - 1];
+    const time = samples.time;
+    if (values.length < 2) return values[0];
+    let sum = 0;
+    for (let i = 1; i < values.length; i++) sum += (values[i] + values[i - 1]) / 2 * (time[i] - time[i - 1]);
+    return sum / (time[time.length - 1] - time[0]);
+}
+
+// Bootstrap resamples of the base samples behind the confidence
+// intervals of the indices, and the interval's coverage (%)
+const SOBOL_BOOTSTRAP = 200;
+const SOBOL_CONFIDENCE = 95;
+
+// First-order (S_i) and total (ST_i) Sobol indices of inputs
+// [{ id, min, max, log }] for an output { species, statistic }, by
+// Saltelli sampling: matrices A and B of N random points each, and for
+// every input i the matrix A with column i taken from B, N·(d + 2)
+// runs in all. S_i follows Saltelli et al. (2010), with the outputs
+// centred on their mean to cut its sampling noise, ST_i Jansen (1999).
+function createSobol(model, duration, dt, inputs, output, options = {}) {
+    if (!(duration > 0) || !(dt > 0)) {
+        throw new Error('duration and dt must be positive numbers of seconds');
+    }
+    if (!inputs.length) throw new Error('Choose at least one input to vary');
+    inputs.forEach(input => checkInput(model, input));
+    if (!model.mechanism.species[output.species]) throw new Error(`Unknown output species "${output.species}"`);
+    const samples = options.samples !== undefined ? options.samples : 128;
+    if (!Number.isInteger(samples) || samples < 2) {
+        throw new Error('A Sobol analysis needs a whole number of at least 2 base samples');
+    }
+    
+    const random = createRandom(options.seed);
+    const draw = () => inputs.map(() => random());
+    const A = [], B = [];
+    for (let j = 0; j < samples; j++) {
+        A.push(draw());
+        B.push(draw());
+    }
+    // Run order: A, B, then A with column i from B for each input i
+    const points = A.concat(B);
+    inputs.forEach((input, i) => {
+        A.forEach((row, j) => { points.push(row.map((u, k) => (k === i ? B[j][i] : u))); });
+    });
+    
+    return {
+        model: Engine.cloneModel(model),
+        duration: duration,
+        dt: dt,
+        inputs: inputs.map(input => Object.assign({}, input)),
+        output: Object.assign({ statistic: 'final' }, output),
+        samples: samples,
+        seed: options.seed,
+        points: points, // unit-cube coordinates of each run
+        values: [], // output of each run
+        completed: 0,
+        total: points.length
+    };
+}
+
+// Run the next point of a Sobol analysis; false once all are done
+function sobolStep(job) {
+    if (job.completed >= job.total) return false;
+    const point = job.points[job.completed];
+    const samples = runCopy(job.model, job.duration, job.dt, run => {
+        job.inputs.forEach((input, i) => applyInput(run, input.id, inputValue(input, point[i])));
+    });
+    job.values.push(outputValue(samples, job.output));
+    job.completed++;
+    return job.completed < job.total;
+}
+
+// Output mean and variance and the indices of each input from the base
+// samples numbered in rows (repeats allowed)
+function sobolIndices(job, rows) {
+    const N = job.samples;
+    const n = rows.length;
+    const fA = rows.map(j => job.values[j]);
+    const fB = rows.map(j => job.values[N + j]);
+    const both = fA.concat(fB);
+    const mean = both.reduce((a, b) => a + b, 0) / both.length;
+    const variance = both.reduce((a, b) => a + (b - mean) * (b - mean), 0) / (both.length - 1);
+    
+    const firstOrder = [];
+    const total = [];
+    job.inputs.forEach((input, i) => {
+        const fAB = rows.map(j => job.values[(2 + i) * N + j]);
+        let first = 0, tot = 0;
+        for (let j = 0; j < n; j++) {
+            first += (fB[j] - mean) * (fAB[j] - fA[j]);
+            tot += (fA[j] - fAB[j]) * (fA[j] - fAB[j]);
+        }
+        firstOrder.push(variance > 0 ? first / n / variance : 0);
+        total.push(variance > 0 ? tot / (2 * n) / variance : 0);
+    });
+    return { mean: mean, variance: variance, firstOrder: firstOrder, total: total };
+}
+
+// Result of a finished analysis: { inputs, output, samples, mean,
+// variance, firstOrder: [S_i], total: [ST_i], firstOrderCI, totalCI }
+// in the order of the inputs. The intervals ([low, high] per input,
+// SOBOL_CONFIDENCE %) come from resampling the base samples with
+// replacement; an S_i below 0 or above ST_i is sampling noise, and a
+// wide interval says N is too small.
+function sobolResult(job) {
+    if (job.completed < job.total) throw new Error('Sobol analysis is not finished');
+    const N = job.samples;
+    const rows = Array.from({ length: N }, (_, j) => j);
+    const indices = sobolIndices(job, rows);
+    
+    const random = createRandom((job.seed || 1) + 1); // apart from the sample draws
+    const resampled = [];
+    for (let b = 0; b < SOBOL_BOOTSTRAP; b++) {
+        resampled.push(sobolIndices(job, rows.map(() => Math.floor(random() * N))));
+    }
+    const tail = (100 - SOBOL_CONFIDENCE) / 2;
+    const interval = (key, i) => {
+        const sorted = resampled.map(r => r[key][i]).sort((a, b) => a - b);
+        return [percentile(sorted, tail), percentile(sorted, 100 - tail)];
+    };
+    return {
+        inputs: job.inputs,
+        output: job.output,
+        samples: N,
+        mean: indices.mean,
+        variance: indices.variance,
+        firstOrder: indices.firstOrder,
+        total: indices.total,
+        firstOrderCI: job.inputs.map((input, i) => interval('firstOrder', i)),
+        totalCI: job.inputs.map((input, i) => interval('total', i))
+    };
+}
+
+function runSobol(model, duration, dt, inputs, output, options) {
+    const job = createSobol(model, duration, dt, inputs, output, options);
+    while (sobolStep(job));
+    return sobolResult(job);
+}
+
+function sobolToCSV(result) {
+    let csv = `# Output: ${result.output.species} (${result.output.statistic}), ` +
+        `${result.samples} base samples, mean ${result.mean.toExponential(4)} ppb, ` +
+        `variance ${result.variance.toExponential(4)} ppb²\n`;
+    csv += `# Low and high: ${SOBOL_CONFIDENCE} % bootstrap intervals\n`;
+    csv += 'Input,Min,Max,Log,First-order,First-order low,First-order high,Total,Total low,Total high\n';
+    result.inputs.forEach((input, i) => {
+        const indices = [result.firstOrder[i], ...result.firstOrderCI[i], result.total[i], ...result.totalCI[i]];
+        csv += [input.id, input.min, input.max, input.log ? 1 : 0]
+            .concat(indices.map(v => v.toFixed(4))).join(',') + '\n';
+    });
+    return csv;
+}
+
+// ==========================================
+// O3 ISOPLETHS (EKMA)
+// ==========================================
+
+// VOC sources swept together along the VOC axis, in the scenario's mix
+const ISOPLETH_VOC = ['CH4', 'CO', 'CH2O', 'ISOP'];
+
+// A field that changes by less than this fraction of its largest value
+// along the VOC axis has no NOx/VOC ridge to speak of: the VOCs react
+// too slowly to matter (e.g. CH4 and CO alone)
+const ISOPLETH_FLAT = 0.02;
+
+// Quantities mapped over the grid: peak O3 (ppb), and O3 (ppb) and
+// its production P(O3) (ppb/h) averaged over the daylit samples
+const ISOPLETH_FIELDS = ['peak', 'mean', 'production'];
+
+// Reactions that make O3 by turning NO into NO2 without using odd
+// oxygen: NO + HO2 and NO + RO2, weighted by their NO2 yield. Partners
+// in the Ox family (O3, NO3, and halogen oxides such as ClO and BrO,
+// whose halogen atom takes O3 to go back) only pass odd oxygen on.
+function ozoneProductionTerms(mechanism) {
+    const oddOxygen = sp => ['O3', 'NO3'].includes(sp) || (mechanism.species[sp].families || []).includes('Ox');
+    const terms = [];
+    mechanism.reactions.forEach((rxn, i) => {
+        const others = rxn.reactants.filter(sp => sp !== 'NO');
+        if (rxn.reactants.length === 2 && others.length === 1 && !oddOxygen(others[0]) &&
+            rxn.products.NO2 > 0) {
+            terms.push([i, rxn.products.NO2]);
+        }
+    });
+    return terms;
+}
+
+// Total VOC emission (ppb/day) of a model and its split between sources
+function vocEmissions(model) {
+    const sources = ISOPLETH_VOC.filter(source => model.mechanism.species[source] && model.emissions[source] !== undefined);
+    const total = sources.reduce((sum, source) => sum + model.emissions[source], 0);
+    const share = {};
+    sources.forEach(source => { share[source] = total > 0 ? model.emissions[source] / total : 1 / sources.length; });
+    return { total: total, share: share };
+}
+
+// Evenly spaced values from 0 to max
+function gridAxis(max, steps) {
+    return Array.from({ length: steps }, (_, i) => max * i / (steps - 1));
+}
+
+// O3 response surface over a grid of NOx emission (rows) and total VOC
+// emission (columns) from the model's current state, for the isopleth
+// diagrams of the EKMA method. options: noxMax, vocMax (ppb/day,
+// default twice the scenario's) and steps (points per axis, default 7).
+function createIsopleth(model, duration, dt, options = {}) {
+    if (!(duration > 0) || !(dt > 0)) {
+        throw new Error('duration and dt must be positive numbers of seconds');
+    }
+    if (!model.mechanism.species.O3 || !model.mechanism.species.NO || model.emissions.NOx === undefined) {
+        throw new Error('Isopleths need O3, NOx and NOx emissions in the mechanism');
+    }
+    const voc = vocEmissions(model);
+    if (!Object.keys(voc.share).length) throw new Error('Isopleths need a CH4, CO, CH2O or isoprene emission');
+    const steps = options.steps !== undefined ? options.steps : 7;
+    if (!Number.isInteger(steps) || steps < 3) {
+        throw new Error('An isopleth grid needs a whole number of at least 3 points per axis');
+    }
+    const noxMax = options.noxMax !== undefined ? options.noxMax : 2 * model.emissions.NOx;
+    const vocMax = options.vocMax !== undefined ? options.vocMax : 2 * voc.total;
+    if (!(noxMax > 0) || !(vocMax > 0)) throw new Error('Isopleth NOx and VOC ranges must be positive');
+    
+    const fields = {};
+    ISOPLETH_FIELDS.forEach(field => { fields[field] = Array.from({ length: steps }, () => []); });
+    return {
+        model: Engine.cloneModel(model),
+        duration: duration,
+        dt: dt,
+        nox: gridAxis(noxMax, steps),
+        voc: gridAxis(vocMax, steps),
+        share: voc.share,
+        scenario: { nox: model.emissions.NOx, voc: voc.total },
+        production: ozoneProductionTerms(model.mechanism),
+        fields: fields, // { field: [row (NOx)][column (VOC)] }
+        completed: 0,
+        total: steps * steps
+    };
+}
+
+// Peak O3, and daylit means of O3 and P(O3) (ppb/h), of one run. The
+// means take every sample when the sun never rises.
+function isoplethPoint(job, nox, voc) {
+    const run = Engine.cloneModel(job.model);
+    run.emissions.NOx = nox;
+    Object.keys(job.share).forEach(source => { run.emissions[source] = voc * job.share[source]; });
+    
+    const samples = [];
+    const numSteps = Math.round(job.duration / job.dt);
+    for (let i = 0; i < numSteps; i++) {
+        Engine.stepModel(run, job.dt);
+        if (run.series.time[run.series.time.length - 1] !== run.time && i < numSteps - 1) continue;
+        const env = Engine.modelEnvironment(run, job.dt);
+        const rates = Mechanism.reactionRates(run.mechanism, run.concentrations, env.k);
+        samples.push({
+            o3: run.concentrations.O3,
+            production: job.production.reduce((sum, [j, yieldNO2]) => sum + yieldNO2 * rates[j], 0) * 3600,
+            day: run.solarZenithAngle < 90
+        });
+    }
+    const daylit = samples.some(s => s.day) ? samples.filter(s => s.day) : samples;
+    const mean = key => daylit.reduce((sum, s) => sum + s[key], 0) / daylit.length;
+    return {
+        peak: Math.max(...samples.map(s => s.o3)),
+        mean: mean('o3'),
+        production: mean('production')
+    };
+}
+
+// Run the next grid point, row by row; false once all are done
+function isoplethStep(job) {
+    if (job.completed >= job.total) return false;
+    const steps = job.nox.length;
+    const row = Math.floor(job.completed / steps);
+    const column = job.completed % steps;
+    const point = isoplethPoint(job, job.nox[row], job.voc[column]);
+    ISOPLETH_FIELDS.forEach(field => { job.fields[field][row][column] = point[field]; });
+    job.completed++;
+    return job.completed < job.total;
+}
+
+// For each VOC column, the NOx emission at which the field peaks,
+// refined by a parabola through the grid maximum and its neighbours;
+// null where the peak lies on the edge of the grid. Above the ridge
+// line O3 is VOC-limited, below it NOx-limited.
+function ridgeLine(nox, grid) {
+    const step = nox[1] - nox[0];
+    return grid[0].map((_, column) => {
+        const values = grid.map(row => row[column]);
+        let best = 0;
+        values.forEach((v, i) => { if (v > values[best]) best = i; });
+        if (best === 0 || best === values.length - 1) return null;
+        const [below, peak, above] = values.slice(best - 1, best + 2);
+        const curvature = below - 2 * peak + above;
+        const offset = curvature < 0 ? 0.5 * (below - above) / curvature : 0;
+        return nox[best] + offset * step;
+    });
+}
+
+// Bilinear interpolation of a grid field at (voc, nox), clamped to the grid
+function interpolateGrid(result, field, voc, nox) {
+    const position = (axis, v) => {
+        const x = Math.min(axis.length - 1, Math.max(0, v / axis[axis.length - 1] * (axis.length - 1)));
+        const i = Math.min(axis.length - 2, Math.floor(x));
+        return [i, x - i];
+    };
+    const [r, fr] = position(result.nox, nox);
+    const [c, fc] = position(result.voc, voc);
+    const grid = result.fields[field];
+    return (1 - fr) * ((1 - fc) * grid[r][c] + fc * grid[r][c + 1]) +
+        fr * ((1 - fc) * grid[r + 1][c] + fc * grid[r + 1][c + 1]);
+}
+
+// Largest change of a field along the VOC axis in any NOx row, as a
+// fraction of the field's largest magnitude on the grid
+function vocResponse(grid) {
+    const scale = Math.max(...grid.map(row => Math.max(...row.map(Math.abs))));
+    if (!(scale > 0)) return 0;
+    return Math.max(...grid.map(row => Math.max(...row) - Math.min(...row))) / scale;
+}
+
+// 'NOx-limited' where more NOx emission raises the field, else
+// 'VOC-limited', or 'NOx-saturated' where the VOCs make no difference
+function isoplethRegime(result, field, voc, nox) {
+    const h = (result.nox[1] - result.nox[0]) / 2;
+    const low = Math.max(0, nox - h);
+    const high = Math.min(result.nox[result.nox.length - 1], nox + h);
+    if (interpolateGrid(result, field, voc, high) > interpolateGrid(result, field, voc, low)) return 'NOx-limited';
+    return result.vocResponse[field] < ISOPLETH_FLAT ? 'NOx-saturated' : 'VOC-limited';
+}
+
+// Result of a finished grid: { nox, voc (ppb/day axes), share (VOC
+// split), scenario ({ nox, voc } of the model), fields, vocResponse
+// ({ field: largest relative change along VOC }), ridges ({ field:
+// [ridge NOx per VOC column] }, all null for a field flat along VOC) }
+function isoplethResult(job) {
+    if (job.completed < job.total) throw new Error('Isopleth grid is not finished');
+    const response = {};
+    const ridges = {};
+    ISOPLETH_FIELDS.forEach(field => {
+        response[field] = vocResponse(job.fields[field]);
+        ridges[field] = response[field] < ISOPLETH_FLAT ? job.voc.map(() => null)
+            : ridgeLine(job.nox, job.fields[field]);
+    });
+    return {
+        nox: job.nox,
+        voc: job.voc,
+        share: job.share,
+        scenario: job.scenario,
+        fields: job.fields,
+        vocResponse: response,
+        ridges: ridges
+    };
+}
+
+function runIsopleth(model, duration, dt, options) {
+    const job = createIsopleth(model, duration, dt, options);
+    while (isoplethStep(job));
+    return isoplethResult(job);
+}
+
+// One row per grid point
+function isoplethToCSV(result) {
+    let csv = '# VOC split: ' + Object.keys(result.share)
+        .map(source => `${source} ${(100 * result.share[source]).toFixed(1)}%`).join(', ') + '\n';
+    const flat = ISOPLETH_FIELDS.filter(field => result.vocResponse[field] < ISOPLETH_FLAT);
+    if (flat.length) csv += `# Flat along VOC (no ridge line): ${flat.join(', ')}\n`;
+    csv += 'NOx emission (ppb/day),VOC emission (ppb/day),Peak O3 (ppb),Daytime mean O3 (ppb),Daytime mean P(O3) (ppb/h)\n';
+    result.nox.forEach((nox, row) => {
+        result.voc.forEach((voc, column) => {
+            csv += [nox.toPrecision(4), voc.toPrecision(4)]
+                .concat(ISOPLETH_FIELDS.map(field => result.fields[field][row][column].toExponential(4))).join(',') + '\n';
+        });
+    });
+    return csv;
+}
+
+// ==========================================
+// PERIODIC STEADY STATE
+// ==========================================
+
+// Spin-up to the diurnal-periodic state: the 24 h (one sol on Mars)
+// from the model's current time is run over and over, each cycle from
+// the concentrations the last one ended with, until no species changes
+// from one cycle to the next by more than tol (relative, with the
+// solver's atol). Species whose lifetime stays above holdLifetime (s)
+// all through the first cycle, such as accumulating products, are left
+// out of the test. The job's model is not changed.
+function createSpinUp(model, dt, options = {}) {
+    if (!(dt > 0)) throw new Error('dt must be a positive number of seconds');
+    const tol = options.tol !== undefined ? options.tol : 1e-3;
+    const maxCycles = options.maxCycles !== undefined ? options.maxCycles : 60;
+    const holdLifetime = options.holdLifetime !== undefined ? options.holdLifetime : Infinity;
+    if (!(tol > 0) || !(holdLifetime > 0)) throw new Error('Spin-up tolerance and hold lifetime must be positive');
+    if (!Number.isInteger(maxCycles) || maxCycles < 2) {
+        throw new Error('A spin-up needs a whole number of at least 2 cycles');
+    }
+    return {
+        model: Engine.cloneModel(model),
+        dt: dt,
+        period: Engine.PLANETS[model.planet].solLength,
+        tol: tol,
+        maxCycles: maxCycles,
+        holdLifetime: holdLifetime,
+        concentrations: Object.assign({}, model.concentrations), // at the start of the next cycle
+        checked: null, // species tested, set by the first cycle
+        changes: [], // largest relative change of each cycle
+        series: null, // samples of the last cycle
+        converged: false,
+        completed: 0
+    };
+}
+
+// Run the next cycle; false once periodic or out of cycles
+function spinUpStep(job) {
+    if (job.converged || job.completed >= job.maxCycles) return false;
+    const run = Engine.cloneModel(job.model);
+    run.concentrations = Object.assign({}, job.concentrations);
+    
+    const species = Object.keys(run.concentrations);
+    const shortest = {};
+    species.forEach(sp => { shortest[sp] = Infinity; });
+    const numSteps = Math.round(job.period / job.dt);
+    for (let i = 0; i < numSteps; i++) {
+        Engine.stepModel(run, job.dt);
+        if (job.checked) continue;
+        const lifetimes = Engine.jacobianLifetimes(
+            Engine.calculateJacobian(run.concentrations, Engine.modelEnvironment(run, job.dt)));
+        species.forEach(sp => { shortest[sp] = Math.min(shortest[sp], lifetimes[sp]); });
+    }
+    if (!job.checked) job.checked = species.filter(sp => shortest[sp] <= job.holdLifetime);
+    
+    const atol = run.solver.atol;
+    const change = job.checked.reduce((max, sp) => Math.max(max,
+        Math.abs(run.concentrations[sp] - job.concentrations[sp]) / (run.concentrations[sp] + atol)), 0);
+    job.changes.push(change);
+    job.concentrations = run.concentrations;
+    job.series = run.series;
+    job.completed++;
+    job.converged = change < job.tol;
+    return !job.converged && job.completed < job.maxCycles;
+}
+
+// { concentrations (at the model's current time of day), cycles, converged,
+// change (of the last cycle), changes, checked, series (last cycle) }
+function spinUpResult(job) {
+    return {
+        concentrations: job.concentrations,
+        cycles: job.completed,
+        converged: job.converged,
+        change: job.changes[job.changes.length - 1],
+        changes: job.changes,
+        checked: job.checked,
+        series: job.series
+    };
+}
+
+function runSpinUp(model, dt, options) {
+    const job = createSpinUp(model, dt, options);
+    while (spinUpStep(job));
+    return spinUpResult(job);
+}
+
+// ==========================================
+// JOBS BY NAME
+// ==========================================
+
+// Each analysis's create, step and result functions, so a job can be
+// named in a message (see atmos-worker.js); create takes the model
+// followed by the arguments of create*() above
+const ANALYSES = {
+    sensitivity: { create: createSensitivity, step: sensitivityStep, result: sensitivityResult },
+    ensemble: { create: createEnsemble, step: ensembleStep, result: ensembleResult },
+    sobol: { create: createSobol, step: sobolStep, result: sobolResult },
+    isopleth: { create: createIsopleth, step: isoplethStep, result: isoplethResult },
+    spinUp: { create: createSpinUp, step: spinUpStep, result: spinUpResult }
+};
+
+// How far a job has got: { completed, total }, with the change over the
+// last cycle of a spin-up, whose total is its cycle limit
+function jobProgress(job) {
+    return {
+        completed: job.completed,
+        total: job.total !== undefined ? job.total : job.maxCycles,
+        change: job.changes ? job.changes[job.changes.length - 1] : undefined
+    };
+}
+
+return {
+    CONCENTRATION_FLOOR, ENSEMBLE_STATISTICS,
+    createSensitivity, sensitivityStep, sensitivityResult, runSensitivity, sensitivityAt, rankReactions,
+    sensitivityToCSV,
+    createRandom, normalDeviate, lognormalFactor, percentile,
+    createEnsemble, ensembleStep, ensembleResult, runEnsemble,
+    SOBOL_BOOTSTRAP, SOBOL_CONFIDENCE,
+    applyInput, inputValue, outputValue, createSobol, sobolStep, sobolResult, runSobol, sobolToCSV,
+    ISOPLETH_VOC, ISOPLETH_FLAT, ISOPLETH_FIELDS, ozoneProductionTerms, createIsopleth, isoplethStep, isoplethResult, runIsopleth,
+    ridgeLine, interpolateGrid, isoplethRegime, isoplethToCSV,
+    createSpinUp, spinUpStep, spinUpResult, runSpinUp,
+    ANALYSES, jobProgress
+};
+});
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+// ==========================================
+// ATMOSPHERIC CHEMISTRY SIMULATOR
+// Command-line runner for scenario files
+// Usage: node atmos-cli.js <scenario.json> [--out results.csv] [--budget budget.csv]
+//        [--sensitivity sensitivity.csv] [--sobol sobol.csv] [--isopleth isopleth.csv]
+// ==========================================
+
+const fs = require('fs');
+const path = require('path');
+const { createModel, runModel, steadyState, timeSeriesToCSV, budgetToCSV } = require('./atmos-engine.js');
+const { importMechanism } = require('./atmos-import.js');
+const { parseTable } = require('./atmos-photolysis.js');
+const { parseForcing } = require('./atmos-forcing.js');
+const {
+    runSensitivity, sensitivityToCSV, runEnsemble, runSobol, sobolToCSV, runIsopleth, isoplethToCSV, runSpinUp
+} = require('./atmos-analysis.js');
+
+function usage() {
+    return [
+        'Usage: node atmos-cli.js <scenario.json> [--out results.csv] [--budget budget.csv]',
+        '       [--sensitivity sensitivity.csv] [--sobol sobol.csv] [--isopleth isopleth.csv]',
+        '',
+        'Runs the box model headlessly and writes the time series as CSV',
+        '(to stdout unless --out is given). --budget also writes each species\'',
+        'tendency by process (chemistry, emission, deposition, entrainment,',
+        'dilution). --sensitivity writes the normalized sensitivity of every',
+        'species to every rate constant over the run (one extra run per',
+        'reaction). --sobol writes first-order and total Sobol indices for',
+        'the scenario\'s "sobol" inputs and output. --isopleth writes peak and',
+        'daytime-mean O3 and P(O3) over a grid of NOx and VOC emission rates',
+        '(the scenario\'s "isopleth" settings). See scenarios/ for examples.'
+    ].join('\n');
+}
+
+function parseArgs(argv) {
+    const args = { scenario: null, out: null, budget: null, sensitivity: null, sobol: null, isopleth: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out' || arg === '-o') {
+            args.out = argv[++i];
+            if (!args.out) throw new Error('--out needs a file name');
+        } else if (arg === '--budget') {
+            args.budget = argv[++i];
+            if (!args.budget) throw new Error('--budget needs a file name');
+        } else if (arg === '--sensitivity') {
+            args.sensitivity = argv[++i];
+            if (!args.sensitivity) throw new Error('--sensitivity needs a file name');
+        } else if (arg === '--sobol') {
+            args.sobol = argv[++i];
+            if (!args.sobol) throw new Error('--sobol needs a file name');
+        } else if (arg === '--isopleth') {
+            args.isopleth = argv[++i];
+            if (!args.isopleth) throw new Error('--isopleth needs a file name');
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option "${arg}"`);
+        } else if (!args.scenario) {
+            args.scenario = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+    return args;
+}
+
+// A KPP or FACSIMILE file, relative to the scenario file's directory
+function loadMechanism(file, baseDir) {
+    const fileName = path.resolve(baseDir, file);
+    const result = importMechanism(fs.readFileSync(fileName, 'utf8'), { fileName: fileName });
+    result.warnings.forEach(w => console.error(`Warning (${file}): ${w}`));
+    return result.mechanism;
+}
+
+// A J-value table (CSV or JSON), relative to the scenario file's directory
+function loadJTable(file, baseDir) {
+    const fileName = path.resolve(baseDir, file);
+    return parseTable(fs.readFileSync(fileName, 'utf8'), fileName);
+}
+
+// A forcing time series (CSV or JSON), relative to the scenario file's directory
+function loadForcing(file, baseDir) {
+    const fileName = path.resolve(baseDir, file);
+    return parseForcing(fs.readFileSync(fileName, 'utf8'), fileName);
+}
+
+// Scenario fields (all optional except duration and dt):
+//   mode ("troposphere", "stratosphere" or "mars"), solarLongitude (Ls on Mars),
+//   mechanism (file name or definition), modules (e.g. ["isoprene"]),
+//   moduleSettings ({ halogens: { snowRecycling, ... } }), preset,
+//   initial, noxLevel, temperature, pressure, relativeHumidity, h2oMixingRatio,
+//   solarZenithAngle, diurnalCycle, latitude, longitude, startTime,
+//   timeZone, photolysis ({ table (file name), altitude, ozoneColumn,
+//   albedo, attenuation }), forcing (file name or data), emissions,
+//   emissionProfiles, customProfile, physics ({ deposition,
+//   depositionVelocities, boundaryLayer, entrainment, dilutionRate,
+//   background }), aerosol ({ area, radius }), rateMultipliers
+//   ({ reaction id: factor }), solver, outputEvery, ensemble ({ members,
+//   seed, emissionUncertainty, initialUncertainty }), sobol ({ inputs:
+//   [{ id, min, max, log }], output: { species, statistic }, samples, seed }),
+//   isopleth ({ noxMax, vocMax, steps }), steadyState ({ method: "fixed"
+//   or "periodic", holdLifetime (s), tol, maxCycles }), duration (s), dt (s)
+function runScenario(scenario) {
+    const model = initialModel(scenario);
+    runModel(model, scenario.duration, scenario.dt);
+    return model;
+}
+
+// The scenario's model, first brought to its steady state when asked
+function initialModel(scenario) {
+    const model = createModel(scenario);
+    const settings = scenario.steadyState;
+    if (!settings) return model;
+    if (settings.method === 'fixed') {
+        model.concentrations = steadyState(model, settings).concentrations;
+    } else if (settings.method === 'periodic') {
+        const result = runSpinUp(model, scenario.dt, settings);
+        if (!result.converged) {
+            console.error(`Warning: not periodic after ${result.cycles} cycles (last change ${result.change.toExponential(2)})`);
+        }
+        model.concentrations = result.concentrations;
+    } else {
+        throw new Error(`Unknown steady-state method "${settings.method}" (use "fixed" or "periodic")`);
+    }
+    return model;
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help || !args.scenario) {
+        console.log(usage());
+        return args.help ? 0 : 1;
+    }
+    
+    const file = path.resolve(args.scenario);
+    const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (typeof scenario.mechanism === 'string') {
+        scenario.mechanism = loadMechanism(scenario.mechanism, path.dirname(file));
+    }
+    if (scenario.photolysis && typeof scenario.photolysis.table === 'string') {
+        scenario.photolysis.table = loadJTable(scenario.photolysis.table, path.dirname(file));
+    }
+    if (typeof scenario.forcing === 'string') {
+        scenario.forcing = loadForcing(scenario.forcing, path.dirname(file));
+    }
+    if (args.sensitivity) {
+        const initial = initialModel(scenario);
+        const result = runSensitivity(initial, scenario.duration, scenario.dt);
+        fs.writeFileSync(args.sensitivity, sensitivityToCSV(result, initial.mechanism.species));
+        console.error(`Wrote sensitivities to ${result.reactions.length} rate constants to ${args.sensitivity}`);
+    }
+    if (args.sobol) {
+        const sobol = scenario.sobol;
+        if (!sobol || !sobol.inputs || !sobol.output) {
+            throw new Error('--sobol needs a "sobol" field with inputs and output in the scenario');
+        }
+        const result = runSobol(initialModel(scenario), scenario.duration, scenario.dt, sobol.inputs, sobol.output, sobol);
+        fs.writeFileSync(args.sobol, sobolToCSV(result));
+        console.error(`Wrote Sobol indices for ${result.inputs.length} inputs ` +
+            `(${result.samples * (result.inputs.length + 2)} runs) to ${args.sobol}`);
+    }
+    if (args.isopleth) {
+        const result = runIsopleth(initialModel(scenario), scenario.duration, scenario.dt, scenario.isopleth);
+        fs.writeFileSync(args.isopleth, isoplethToCSV(result));
+        console.error(`Wrote a ${result.nox.length} × ${result.voc.length} isopleth grid to ${args.isopleth}`);
+    }
+    // Monte Carlo statistics from the same initial state, as extra columns
+    const ensemble = scenario.ensemble
+        ? runEnsemble(initialModel(scenario), scenario.duration, scenario.dt, scenario.ensemble)
+        : null;
+    const model = runScenario(scenario);
+    const csv = timeSeriesToCSV(model.series, model.mechanism.species, ensemble);
+    
+    const stats = model.solver.stats;
+    const steps = `${stats.accepted} accepted / ${stats.rejected} rejected steps, ${stats.clipped} clips`;
+    if (args.out) {
+        fs.writeFileSync(args.out, csv);
+        console.error(`Wrote ${model.series.time.length} samples to ${args.out} (${steps})`);
+    } else {
+        process.stdout.write(csv);
+        console.error(`Solver: ${steps}`);
+    }
+    if (args.budget) {
+        fs.writeFileSync(args.budget, budgetToCSV(model.series, model.mechanism.species));
+        console.error(`Wrote the species budget to ${args.budget}`);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { runScenario, loadMechanism, loadJTable, loadForcing };
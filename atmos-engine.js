@@ -0,0 +1,1519 @@
+// ==========================================
+// ATMOSPHERIC CHEMISTRY SIMULATOR
+// Simulation Engine (no DOM access)
+// Loaded as a plain script in the browser (global AtmosEngine)
+// and with require() in Node
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./atmos-mechanism.js'), require('./atmos-photolysis.js'),
+            require('./atmos-forcing.js'), require('./atmos-physics.js'), require('./atmos-modules.js'));
+    } else {
+        root.AtmosEngine = factory(root.AtmosMechanism, root.AtmosPhotolysis, root.AtmosForcing,
+            root.AtmosPhysics, root.AtmosModules);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Mechanism, Photolysis, Forcing, Physics, Modules) {
+
+const { R, NA, M_AIR, SPECIES, PRESETS, BUILTIN } = Mechanism;
+
+// ==========================================
+// CHEMICAL KINETICS
+// ==========================================
+
+// Rate constant of one reaction in the mechanism's own units
+function getRateConstant(reactionName, T, P, sza, mechanism = BUILTIN, h2o, photolysis, aerosol) {
+    const i = mechanism.index[reactionName];
+    if (i === undefined) return 0;
+    const jValue = photolysis ? Photolysis.jValueFunction(photolysis, sza) : undefined;
+    return Mechanism.evaluateRate(mechanism.reactions[i].rate, T, P, sza, h2o, jValue, aerosol);
+}
+
+// Conditions held fixed over one output interval; rate coefficients
+// are evaluated once here rather than in every solver stage.
+// h2o is the water vapour mixing ratio (mol/mol); photolysis holds the
+// J table and its conditions (see atmos-photolysis.js), without it the
+// mechanism's own J parameterization is used. aerosol { area } sets the
+// heterogeneous uptake rates (Mechanism.DEFAULT_AEROSOL without it).
+function createEnvironment(mechanism, T, P, sza, emissions, h2o, photolysis, aerosol) {
+    const jValue = photolysis ? Photolysis.jValueFunction(photolysis, sza) : undefined;
+    return {
+        mechanism: mechanism,
+        temperature: T,
+        pressure: P,
+        sza: sza,
+        h2o: h2o,
+        emissions: emissions,
+        constrained: [], // species held at observed values
+        physics: null, // deposition/entrainment/dilution coefficients (atmos-physics.js)
+        jValue: jValue,
+        k: Mechanism.rateCoefficients(mechanism, T, P, sza, h2o, jValue, aerosol)
+    };
+}
+
+// OH formed per O(1D) lost, from the competition between the
+// mechanism's O(1D) reactions (H2O vs N2/O2 quenching); null when the
+// mechanism has no explicit O(1D)
+function o1dOHYield(env) {
+    const mechanism = env.mechanism;
+    if (!mechanism.species.O1D) return null;
+    let loss = 0;
+    let oh = 0;
+    mechanism.reactions.forEach((rxn, i) => {
+        if (rxn.reactants.length !== 1 || rxn.reactants[0] !== 'O1D') return;
+        loss += env.k[i];
+        oh += env.k[i] * (rxn.products.OH || 0);
+    });
+    return loss > 0 ? oh / loss : null;
+}
+
+// Chemical lifetime (s) of one species at concentrations c, with the
+// share of its loss taken by each co-reactant (e.g. CH4: OH vs Cl);
+// Infinity when nothing removes it
+function chemicalLifetime(c, env, sp) {
+    const mechanism = env.mechanism;
+    const rates = Mechanism.reactionRates(mechanism, c, env.k);
+    const shares = {};
+    let loss = 0;
+    mechanism.reactions.forEach((rxn, i) => {
+        const order = rxn.orders[sp];
+        if (!order) return;
+        const partners = rxn.reactants.filter(r => r !== sp).map(r => mechanism.species[r].name);
+        const label = partners.join(' + ') || (Mechanism.isPhotolysis(rxn.rate) ? 'hν' : rxn.id);
+        shares[label] = (shares[label] || 0) + order * rates[i];
+        loss += order * rates[i];
+    });
+    Object.keys(shares).forEach(label => { shares[label] = loss > 0 ? shares[label] / loss : 0; });
+    return { lifetime: loss > 0 ? c[sp] / loss : Infinity, shares: shares };
+}
+
+// ==========================================
+// CHEMICAL MECHANISM (ODEs)
+// ==========================================
+
+// Chemical tendencies dc/dt (ppb/s), generated from the reaction table
+function calculateRates(c, env) {
+    return Mechanism.speciesTendencies(env.mechanism, c, env.k);
+}
+
+// Analytic Jacobian of calculateRates: J[i][j] = ∂(dc_i/dt)/∂c_j (1/s)
+function calculateJacobian(c, env) {
+    const jac = Mechanism.jacobian(env.mechanism, c, env.k);
+    if (env.physics) Physics.addPhysicsJacobian(jac, env.physics);
+    env.constrained.forEach(sp => {
+        Object.keys(jac[sp]).forEach(col => { jac[sp][col] = 0; });
+    });
+    return jac;
+}
+
+// ==========================================
+// NUMERICAL SOLVERS
+// ==========================================
+
+// Add emissions (ppb/day → ppb/s)
+function addEmissions(dcdt, emissions) {
+    Object.keys(emissions).forEach(sp => {
+        if (dcdt[sp] !== undefined) dcdt[sp] += emissions[sp] / 86400;
+    });
+    return dcdt;
+}
+
+// Full right-hand side: chemistry, emissions and physical processes;
+// constrained species do not change within an output interval
+function calculateTendencies(c, env) {
+    const dcdt = addEmissions(calculateRates(c, env), env.emissions);
+    if (env.physics) Physics.addPhysics(dcdt, c, env.physics);
+    env.constrained.forEach(sp => { dcdt[sp] = 0; });
+    return dcdt;
+}
+
+// Tendency (ppb/s) of every species split by process:
+// { chemistry, emission, deposition, entrainment, dilution }
+function processRates(c, env) {
+    const rates = { chemistry: calculateRates(c, env), emission: {} };
+    Object.keys(c).forEach(sp => { rates.emission[sp] = (env.emissions[sp] || 0) / 86400; });
+    const physical = env.physics ? Physics.processTendencies(c, env.physics) : {};
+    ['deposition', 'entrainment', 'dilution'].forEach(process => {
+        rates[process] = physical[process] || {};
+        Object.keys(c).forEach(sp => { rates[process][sp] = rates[process][sp] || 0; });
+    });
+    return rates;
+}
+
+function rk4Step(c, dt, env, stats) {
+    // Runge-Kutta 4th order
+    
+    // k1
+    const k1 = calculateTendencies(c, env);
+    
+    // k2
+    const c2 = {};
+    Object.keys(c).forEach(sp => {
+        c2[sp] = clipNegative(c[sp] + 0.5 * dt * k1[sp], stats);
+    });
+    const k2 = calculateTendencies(c2, env);
+    
+    // k3
+    const c3 = {};
+    Object.keys(c).forEach(sp => {
+        c3[sp] = clipNegative(c[sp] + 0.5 * dt * k2[sp], stats);
+    });
+    const k3 = calculateTendencies(c3, env);
+    
+    // k4
+    const c4 = {};
+    Object.keys(c).forEach(sp => {
+        c4[sp] = clipNegative(c[sp] + dt * k3[sp], stats);
+    });
+    const k4 = calculateTendencies(c4, env);
+    
+    // Update
+    const cNew = {};
+    Object.keys(c).forEach(sp => {
+        cNew[sp] = clipNegative(c[sp] + dt / 6 * (k1[sp] + 2*k2[sp] + 2*k3[sp] + k4[sp]), stats);
+    });
+    
+    return cNew;
+}
+
+// Dense LU decomposition with partial pivoting (in place)
+function luDecompose(A) {
+    const n = A.length;
+    const piv = [];
+    for (let i = 0; i < n; i++) piv.push(i);
+    
+    for (let col = 0; col < n; col++) {
+        let p = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[p][col])) p = row;
+        }
+        if (A[p][col] === 0) throw new Error('Singular matrix in luDecompose');
+        if (p !== col) {
+            [A[p], A[col]] = [A[col], A[p]];
+            [piv[p], piv[col]] = [piv[col], piv[p]];
+        }
+        for (let row = col + 1; row < n; row++) {
+            const f = A[row][col] / A[col][col];
+            A[row][col] = f;
+            for (let j = col + 1; j < n; j++) {
+                A[row][j] -= f * A[col][j];
+            }
+        }
+    }
+    
+    return { lu: A, piv: piv };
+}
+
+function luSolve(decomp, b) {
+    const { lu, piv } = decomp;
+    const n = lu.length;
+    const x = piv.map(i => b[i]);
+    
+    // Forward substitution (unit lower triangle)
+    for (let i = 1; i < n; i++) {
+        for (let j = 0; j < i; j++) x[i] -= lu[i][j] * x[j];
+    }
+    // Back substitution
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = i + 1; j < n; j++) x[i] -= lu[i][j] * x[j];
+        x[i] /= lu[i][i];
+    }
+    return x;
+}
+
+// ROS3: 3-stage, 3rd order, L-stable Rosenbrock method
+// (Sandu et al., 1997, Atmos. Environ. 31, 3459-3472; coefficients as in KPP)
+const ROS3 = {
+    gamma: 0.43586652150845899942,
+    a: { 21: 1.0, 31: 1.0, 32: 0.0 },
+    c: { 21: -1.0156171083877702091, 31: 4.0759956452537699825, 32: 9.2076794298330791242 },
+    m: [1.0, 6.1697947043828245593, -0.42772256543218573326],
+    e: [0.5, -2.9079558716805469822, 0.22354069897811569627]
+};
+
+function rosenbrockStep(c, dt, env) {
+    // Linearly implicit, so no clamping is needed inside the stages:
+    // the method stays stable for steps far longer than the OH, O3/NOx
+    // photostationary timescales.
+    const sp = Object.keys(c);
+    
+    const toArray = obj => sp.map(s => obj[s]);
+    const toObject = (y0, K) => {
+        const out = {};
+        sp.forEach((s, i) => { out[s] = y0[i] + K[i]; });
+        return out;
+    };
+    
+    const y = toArray(c);
+    const F = cc => toArray(calculateTendencies(cc, env));
+    
+    // Iteration matrix: I/(h·γ) - J
+    const jac = calculateJacobian(c, env);
+    const A = sp.map((row, i) => sp.map((col, j) => (i === j ? 1 / (dt * ROS3.gamma) : 0) - jac[row][col]));
+    const decomp = luDecompose(A);
+    
+    // Stage 1
+    const F1 = F(c);
+    const K1 = luSolve(decomp, F1);
+    
+    // Stage 2
+    const F2 = F(toObject(y, K1.map(v => ROS3.a[21] * v)));
+    const K2 = luSolve(decomp, F2.map((f, i) => f + ROS3.c[21] * K1[i] / dt));
+    
+    // Stage 3 (reuses F2 since a31 = a21 and a32 = 0)
+    const K3 = luSolve(decomp, F2.map((f, i) => f + (ROS3.c[31] * K1[i] + ROS3.c[32] * K2[i]) / dt));
+    
+    const cNew = {};
+    const error = {};
+    sp.forEach((s, i) => {
+        cNew[s] = y[i] + ROS3.m[0] * K1[i] + ROS3.m[1] * K2[i] + ROS3.m[2] * K3[i];
+        error[s] = ROS3.e[0] * K1[i] + ROS3.e[1] * K2[i] + ROS3.e[2] * K3[i];
+    });
+    
+    return { concentrations: cNew, error: error };
+}
+
+// Cash-Karp embedded Runge-Kutta 4(5) pair
+const CASH_KARP = {
+    a: [
+        [],
+        [1/5],
+        [3/40, 9/40],
+        [3/10, -9/10, 6/5],
+        [-11/54, 5/2, -70/27, 35/27],
+        [1631/55296, 175/512, 575/13824, 44275/110592, 253/4096]
+    ],
+    b: [37/378, 0, 250/621, 125/594, 0, 512/1771], // 5th order
+    bStar: [2825/27648, 0, 18575/48384, 13525/55296, 277/14336, 1/4] // 4th order
+};
+
+function cashKarpStep(c, dt, env) {
+    // Stages are not clamped: a negative excursion shows up in the error
+    // estimate and the step is rejected instead of silently masked.
+    const sp = Object.keys(c);
+    const k = [];
+    
+    CASH_KARP.a.forEach(row => {
+        const cStage = {};
+        sp.forEach(s => {
+            let v = c[s];
+            row.forEach((aij, j) => { v += dt * aij * k[j][s]; });
+            cStage[s] = v;
+        });
+        k.push(calculateTendencies(cStage, env));
+    });
+    
+    const cNew = {};
+    const error = {};
+    sp.forEach(s => {
+        let high = 0, low = 0;
+        k.forEach((ki, i) => {
+            high += CASH_KARP.b[i] * ki[s];
+            low += CASH_KARP.bStar[i] * ki[s];
+        });
+        cNew[s] = c[s] + dt * high;
+        error[s] = dt * (high - low);
+    });
+    
+    return { concentrations: cNew, error: error };
+}
+
+// ==========================================
+// ADAPTIVE STEP SIZE CONTROL
+// ==========================================
+
+// Solver diagnostics (accepted/rejected steps, internal dt, clipping)
+function createSolverStats() {
+    return {
+        accepted: 0,
+        rejected: 0,
+        dtInternal: null, // current internal step (s)
+        clipped: 0 // negative concentrations set to zero
+    };
+}
+
+function clipNegative(value, stats) {
+    if (value < 0) {
+        stats.clipped++;
+        return 0;
+    }
+    return value;
+}
+
+// Weighted RMS norm of the embedded error estimate (≤ 1 means acceptable)
+function errorNorm(c, cNew, error, solver) {
+    const sp = Object.keys(c);
+    let sum = 0;
+    sp.forEach(s => {
+        const scale = solver.atol + solver.rtol * Math.max(Math.abs(c[s]), Math.abs(cNew[s]));
+        sum += Math.pow(error[s] / scale, 2);
+    });
+    return Math.sqrt(sum / sp.length);
+}
+
+// Upper bound on the first trial step of an output interval: the time the
+// tendencies take to change c by its own size in the error norm (after
+// Hairer et al., 1993, II.4). Sunlight and emissions change between
+// intervals, so short-lived species (O, OH) restart out of balance and
+// the step carried over from the last interval can be far too long.
+function startingStep(c, env, solver) {
+    const dcdt = calculateTendencies(c, env);
+    const sp = Object.keys(c);
+    let d0 = 0, d1 = 0;
+    sp.forEach(s => {
+        const scale = solver.atol + solver.rtol * Math.abs(c[s]);
+        d0 += Math.pow(c[s] / scale, 2);
+        d1 += Math.pow(dcdt[s] / scale, 2);
+    });
+    return d1 > 0 ? Math.sqrt(d0 / d1) : Infinity;
+}
+
+// Integrate over one output interval with an embedded pair, growing and
+// shrinking the internal step to keep the local error within tolerance.
+// errorOrder is the order of the lower-order member of the pair.
+// The step may not grow right after a rejection (facmax = 1, Hairer et
+// al.), and a second rejection in a row cuts it by minFactor: the error
+// is then not shrinking as h^(errorOrder + 1) predicts.
+function integrateAdaptive(embeddedStep, errorOrder, c, interval, env, solver) {
+    const stats = solver.stats;
+    const safety = 0.9, minFactor = 0.2, maxFactor = 3;
+    const hMin = 1e-6 * interval;
+    
+    let y = c;
+    let t = 0;
+    let h = Math.min(stats.dtInternal || interval, interval, startingStep(c, env, solver));
+    // Last accepted step that was not cut short to land on the interval end
+    let hAccepted = h;
+    let rejectedLast = false;
+    
+    while (t < interval) {
+        const last = t + h >= interval;
+        const hStep = last ? interval - t : h;
+        
+        const result = embeddedStep(y, hStep, env);
+        const norm = errorNorm(y, result.concentrations, result.error, solver);
+        const negative = Object.keys(result.concentrations)
+            .some(s => result.concentrations[s] < -solver.atol);
+        
+        // Accept, or force acceptance once the step cannot shrink any further
+        let factor;
+        if (hStep <= hMin || (Number.isFinite(norm) && norm <= 1 && !negative)) {
+            stats.accepted++;
+            t += hStep;
+            y = {};
+            Object.keys(result.concentrations).forEach(s => {
+                y[s] = clipNegative(result.concentrations[s], stats);
+            });
+            factor = norm === 0 ? maxFactor : safety * Math.pow(norm, -1 / (errorOrder + 1));
+            if (rejectedLast) factor = Math.min(factor, 1);
+            rejectedLast = false;
+        } else {
+            stats.rejected++;
+            factor = Number.isFinite(norm) && !negative && !rejectedLast
+                ? safety * Math.pow(norm, -1 / (errorOrder + 1))
+                : minFactor;
+            factor = Math.min(factor, 1);
+            rejectedLast = true;
+        }
+        
+        // Keep the unshortened step as the next guess when the last step
+        // was only cut to land on the interval end.
+        const cut = last && hStep < h;
+        if (!cut) {
+            h = hStep;
+        }
+        h = Math.min(interval, Math.max(hMin, h * Math.min(maxFactor, Math.max(minFactor, factor))));
+        if (rejectedLast) {
+            hAccepted = Math.min(hAccepted, h);
+        } else if (!cut) {
+            hAccepted = hStep;
+        }
+    }
+    
+    // Carried over as the first guess for the next interval
+    stats.dtInternal = hAccepted;
+    return y;
+}
+
+// Fixed-step wrapper so every solver reports the same diagnostics
+function fixedStep(step) {
+    return (c, dt, env, solver) => {
+        const cNew = step(c, dt, env, solver.stats);
+        solver.stats.accepted++;
+        solver.stats.dtInternal = dt;
+        return cNew;
+    };
+}
+
+// Solver registry: step(c, dt, env, solver) advances one output interval,
+// where env comes from createEnvironment and solver = { method, rtol, atol, stats }
+const SOLVERS = {
+    rk4: { name: 'RK4 (explicit)', step: fixedStep(rk4Step) },
+    ros3: {
+        name: 'Rosenbrock ROS3 (stiff)',
+        step: fixedStep((c, dt, env, stats) => {
+            const cNew = rosenbrockStep(c, dt, env).concentrations;
+            Object.keys(cNew).forEach(sp => { cNew[sp] = clipNegative(cNew[sp], stats); });
+            return cNew;
+        })
+    },
+    rkck: {
+        name: 'Cash-Karp RK45 (adaptive)',
+        step: (c, dt, env, solver) => integrateAdaptive(cashKarpStep, 4, c, dt, env, solver)
+    },
+    ros3Adaptive: {
+        name: 'Rosenbrock ROS3 (adaptive, stiff)',
+        step: (c, dt, env, solver) => integrateAdaptive(rosenbrockStep, 2, c, dt, env, solver)
+    }
+};
+
+// ==========================================
+// STEADY STATE
+// ==========================================
+
+// Lifetime (s) of each species against its own first-order losses,
+// −1/J_ii: Infinity for species that are only produced
+function jacobianLifetimes(jac) {
+    const lifetimes = {};
+    Object.keys(jac).forEach(sp => { lifetimes[sp] = jac[sp][sp] < 0 ? -1 / jac[sp][sp] : Infinity; });
+    return lifetimes;
+}
+
+// Longest pseudo time step (s); kept finite so I/h − J stays well conditioned
+const STEADY_MAX_STEP = 1e10;
+
+// Species that cannot reach a steady state of their own within the
+// hold lifetime (s), or at all on the solver's longest step
+function longLived(lifetime, holdLifetime) {
+    return !(lifetime <= Math.min(holdLifetime, STEADY_MAX_STEP));
+}
+
+// Damped Newton steps in a row before the iteration marches in time instead
+const DAMPED_NEWTON_STEPS = 3;
+
+// Newton iteration for the free species from c, the held ones fixed.
+// Returns { concentrations, iterations, converged, change, worst }.
+function newtonSteadyState(c, env, free, held, settings) {
+    const { tol, maxIterations, atol, rtol } = settings;
+    const maxStep = STEADY_MAX_STEP;
+    // Held species as constrained, for the ROS3 marches
+    const heldEnv = Object.assign({}, env, { constrained: held });
+    const marching = { rtol: rtol, atol: atol, stats: createSolverStats() };
+    
+    let h = 60;
+    let span = 3600;
+    let damped = 0;
+    let change = Infinity;
+    let worst = null;
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        const next = Object.assign({}, c);
+        let damping = 1;
+        if (damped < DAMPED_NEWTON_STEPS) {
+            const dcdt = calculateTendencies(c, env);
+            const jac = calculateJacobian(c, env);
+            const A = free.map((row, i) => free.map((col, j) => (i === j ? 1 / h : 0) - jac[row][col]));
+            const delta = luSolve(luDecompose(A), free.map(sp => dcdt[sp]));
+            free.forEach((sp, i) => {
+                if (delta[i] < 0 && c[sp] > atol) damping = Math.min(damping, 0.9 * c[sp] / -delta[i]);
+            });
+            free.forEach((sp, i) => { next[sp] = Math.max(0, c[sp] + damping * delta[i]); });
+            damped = damping === 1 ? 0 : damped + 1;
+        } else {
+            // Repeated damping means the linearisation is leading the
+            // iterate astray: follow the actual trajectory for a while
+            const marched = integrateAdaptive(rosenbrockStep, 2, c, span, heldEnv, marching);
+            free.forEach(sp => { next[sp] = marched[sp]; });
+            span *= 4;
+            damped = 0;
+            h = 60;
+        }
+        
+        change = 0;
+        free.forEach(sp => {
+            if (Math.max(c[sp], next[sp]) <= atol) return;
+            const relative = Math.abs(next[sp] - c[sp]) / (next[sp] + atol);
+            if (relative >= change) {
+                change = relative;
+                worst = sp;
+            }
+        });
+        c = next;
+        if (h >= maxStep && damping === 1 && change < tol) {
+            return { concentrations: c, iterations: iteration, converged: true, change: change, worst: worst };
+        }
+        h = Math.min(damping === 1 ? h * 4 : h * Math.max(0.25, 2 * damping), maxStep);
+    }
+    return { concentrations: c, iterations: maxIterations, converged: false, change: change, worst: worst };
+}
+
+// Fixed point dc/dt = 0 of chemistry, emissions and physics under the
+// model's current conditions, by Newton iteration with pseudo-transient
+// continuation: each iteration solves (I/h − J)·Δc = dc/dt, with the
+// pseudo time step h growing from 60 s while full steps are taken.
+// Steps are damped so no concentration above atol falls by more than
+// 90 %; species below atol (NO3 at night) neither damp the step nor
+// count towards convergence. After DAMPED_NEWTON_STEPS damped steps in
+// a row the iteration marches the model with ROS3 over a growing span
+// and then resumes Newton from there.
+// Species that are long-lived (longLived) at the start, and those the
+// forcing constrains, keep their concentrations. If the iteration does
+// not converge, species that have become long-lived on the way (NO
+// once O3 is used up at night) are held as well and it starts again.
+// Returns { concentrations, iterations, held, change }; the model is
+// not changed.
+function steadyState(model, options = {}) {
+    const tol = options.tol !== undefined ? options.tol : 1e-8;
+    const maxIterations = options.maxIterations !== undefined ? options.maxIterations : 200;
+    const holdLifetime = options.holdLifetime !== undefined ? options.holdLifetime : Infinity;
+    if (!(tol > 0) || !(holdLifetime > 0)) throw new Error('Steady-state tolerance and hold lifetime must be positive');
+    const settings = { tol: tol, maxIterations: maxIterations, atol: model.solver.atol, rtol: model.solver.rtol };
+    
+    const env = modelEnvironment(model);
+    const start = Object.assign({}, model.concentrations);
+    const species = Object.keys(start);
+    const lifetimes = jacobianLifetimes(calculateJacobian(start, env));
+    const held = species.filter(sp => env.constrained.includes(sp) || longLived(lifetimes[sp], holdLifetime));
+    
+    let iterations = 0;
+    for (;;) {
+        const free = species.filter(sp => !held.includes(sp));
+        if (!free.length) throw new Error('Every species is held: no steady state to solve for');
+        const result = newtonSteadyState(start, env, free, held, settings);
+        iterations += result.iterations;
+        if (result.converged) {
+            return { concentrations: result.concentrations, iterations: iterations, held: held, change: result.change };
+        }
+        const now = jacobianLifetimes(calculateJacobian(result.concentrations, env));
+        const more = free.filter(sp => longLived(now[sp], holdLifetime));
+        if (!more.length) {
+            throw new Error(`No steady state after ${iterations} iterations: ${result.worst} is still changing`);
+        }
+        more.forEach(sp => held.push(sp));
+    }
+}
+
+// ==========================================
+// SOLAR GEOMETRY
+// ==========================================
+
+// "YYYY-MM-DDTHH:MM[:SS]" read as local time at timeZone (hours east of
+// UTC) → milliseconds since the epoch, UTC
+function parseLocalTime(text, timeZone = 0) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(text).trim());
+    if (!match) throw new Error(`Cannot read start time "${text}" (expected YYYY-MM-DDTHH:MM)`);
+    const [y, mo, d, h, mi, s] = match.slice(1).map(v => Number(v || 0));
+    return Date.UTC(y, mo - 1, d, h, mi, s) - timeZone * 3600e3;
+}
+
+// Solar declination and equation of time (NOAA general solar position
+// approximation, Spencer 1971 series) for a UTC time in ms
+function solarPosition(utcMs) {
+    const date = new Date(utcMs);
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    const dayOfYear = Math.floor((utcMs - yearStart) / 86400e3) + 1;
+    const hours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+    
+    // Fractional year (rad)
+    const g = 2 * Math.PI / 365 * (dayOfYear - 1 + (hours - 12) / 24);
+    
+    const declination = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g) -
+        0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g) -
+        0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g); // rad
+    const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g) -
+        0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g)); // minutes
+    
+    return { declination: declination, equationOfTime: equationOfTime, hours: hours };
+}
+
+// Solar zenith angle (degrees, > 90 at night) at latitude/longitude (°N/°E)
+function solarZenithAngle(utcMs, latitude, longitude) {
+    const sun = solarPosition(utcMs);
+    
+    // True solar time (minutes) → hour angle, 0 at solar noon
+    const solarTime = sun.hours * 60 + sun.equationOfTime + 4 * longitude;
+    const hourAngle = (solarTime / 4 - 180) * Math.PI / 180;
+    
+    const lat = latitude * Math.PI / 180;
+    const cosZenith = Math.sin(lat) * Math.sin(sun.declination) +
+        Math.cos(lat) * Math.cos(sun.declination) * Math.cos(hourAngle);
+    return Math.acos(Math.max(-1, Math.min(1, cosZenith))) * 180 / Math.PI;
+}
+
+// Rotation and orbit of the planets a mode can be set on. Earth's sun
+// position comes from the calendar (solarPosition above); Mars keeps
+// its own clock in sols and its season as the areocentric longitude Ls.
+const PLANETS = {
+    earth: {
+        id: 'earth',
+        name: 'Earth',
+        solLength: 86400, // s
+        semiMajorAxis: 1.0 // AU
+    },
+    mars: {
+        id: 'mars',
+        name: 'Mars',
+        solLength: 88775.244, // s, mean solar day
+        yearLength: 668.6, // sols
+        semiMajorAxis: 1.5237, // AU
+        eccentricity: 0.0934,
+        obliquity: 25.19, // °
+        perihelionLs: 250.87 // °
+    }
+};
+
+// Mars local solar time and season at the model clock: { sol (from 1),
+// hours, ls (°) }. The start time's clock reading is the local solar
+// time at t = 0 and model.solarLongitude the Ls; Ls advances at the
+// mean rate.
+function marsSolarTime(model) {
+    const mars = PLANETS.mars;
+    const start = new Date(parseLocalTime(model.startTime));
+    const elapsed = (start.getUTCHours() + start.getUTCMinutes() / 60) / 24 + model.time / mars.solLength;
+    return {
+        sol: Math.floor(elapsed) + 1,
+        hours: (elapsed % 1) * 24,
+        ls: (model.solarLongitude + 360 * model.time / (mars.yearLength * mars.solLength)) % 360
+    };
+}
+
+// Mars-Sun distance (AU) at areocentric longitude ls (°)
+function marsSolarDistance(ls) {
+    const mars = PLANETS.mars;
+    return mars.semiMajorAxis * (1 - mars.eccentricity * mars.eccentricity) /
+        (1 + mars.eccentricity * Math.cos((ls - mars.perihelionLs) * Math.PI / 180));
+}
+
+// Solar zenith angle (degrees) on Mars at the model's latitude
+function marsSolarZenithAngle(model) {
+    const time = marsSolarTime(model);
+    const declination = Math.asin(Math.sin(PLANETS.mars.obliquity * Math.PI / 180) *
+        Math.sin(time.ls * Math.PI / 180));
+    const hourAngle = (time.hours - 12) * 15 * Math.PI / 180;
+    
+    const lat = model.latitude * Math.PI / 180;
+    const cosZenith = Math.sin(lat) * Math.sin(declination) +
+        Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+    return Math.acos(Math.max(-1, Math.min(1, cosZenith))) * 180 / Math.PI;
+}
+
+// Sunlight relative to the planet's mean distance, which the J tables
+// are made for (1 on Earth, 0.83-1.21 on Mars)
+function solarFluxFactor(model) {
+    if (model.planet !== 'mars') return 1;
+    return Math.pow(PLANETS.mars.semiMajorAxis / marsSolarDistance(marsSolarTime(model).ls), 2);
+}
+
+// ==========================================
+// MODES
+// ==========================================
+
+// Which atmosphere a model describes: its planet (see PLANETS),
+// mechanism, the conditions and photolysis settings it starts from and
+// the temperature (K) and pressure (hPa) ranges it is meant for. Without
+// surface exchange there are no emissions, deposition or boundary layer.
+const MODES = {
+    troposphere: {
+        id: 'troposphere',
+        name: 'Troposphere (boundary layer)',
+        planet: 'earth',
+        mechanism: BUILTIN,
+        surface: true,
+        conditions: {},
+        ranges: { temperature: [250, 320], pressure: [500, 1013] }
+    },
+    stratosphere: {
+        id: 'stratosphere',
+        name: 'Stratosphere (Chapman + catalytic cycles)',
+        planet: 'earth',
+        mechanism: Mechanism.STRATOSPHERE,
+        surface: false,
+        // Near 10 hPa (~31 km); H2O from the dry stratosphere
+        conditions: { temperature: 230, pressure: 10, h2oMixingRatio: 5e-6 },
+        ranges: { temperature: [200, 270], pressure: [1, 100] }
+    },
+    mars: {
+        id: 'mars',
+        name: 'Mars (CO₂ atmosphere)',
+        planet: 'mars',
+        mechanism: Mechanism.MARS,
+        surface: false,
+        // Gale crater: ~6 hPa, 210 K sol mean, ~150 ppm H2O
+        conditions: { temperature: 210, pressure: 6.1, h2oMixingRatio: 1.5e-4, latitude: -4.6 },
+        photolysis: { table: Photolysis.MARS_TABLE },
+        ranges: { temperature: [150, 250], pressure: [1, 12] }
+    }
+};
+
+// ==========================================
+// MODEL
+// ==========================================
+// A model holds everything a run needs; nothing in the engine keeps
+// global simulation state, so several models can run side by side.
+function createModel(options = {}) {
+    const model = {
+        concentrations: {}, // ppb
+        time: 0, // seconds
+        temperature: 298, // K
+        pressure: 1000, // hPa
+        solarZenithAngle: 0, // degrees
+        latitude: 0, // °N
+        longitude: 0, // °E
+        startTime: '2024-03-20T00:00', // local time at t = 0
+        timeZone: 0, // hours east of UTC
+        solarLongitude: 0, // Ls (°) at t = 0, the season on Mars
+        relativeHumidity: Mechanism.DEFAULT_RH, // %
+        h2oMixingRatio: null, // mol/mol; overrides relativeHumidity when set
+        diurnalCycle: true,
+        // J table plus altitude (km), ozoneColumn (DU), albedo and the
+        // cloud/aerosol attenuation factor
+        photolysis: Photolysis.createSettings(),
+        forcing: null, // observed time series (see atmos-forcing.js)
+        forcingJScale: 1, // factor from a forced J(NO2), on top of the attenuation
+        emissions: {
+            CH4: 10, // ppb/day, daily mean
+            CO: 5,
+            NOx: 0.5, // emitted as NO and NO2, see NOX_SPLIT
+            CH2O: 0,
+            ISOP: 50, // at 1000 µmol m⁻² s⁻¹ PAR and 303 K (isoprene module)
+            Cl2: 0, // halogen module
+            Br2: 0
+        },
+        // Diurnal/weekly profile of each emission: 'flat', 'traffic',
+        // 'custom' or 'lightTemperature' (follows PAR and temperature)
+        emissionProfiles: {
+            CH4: 'flat',
+            CO: 'flat',
+            NOx: 'flat',
+            CH2O: 'flat',
+            ISOP: 'lightTemperature'
+        },
+        customProfile: copyProfile(EMISSION_PROFILES.traffic),
+        // Dry deposition, boundary-layer height, entrainment and dilution
+        physics: Physics.createPhysics(),
+        // Particle surface area density (µm² cm⁻³) and radius (µm) for uptake
+        aerosol: Object.assign({}, Mechanism.DEFAULT_AEROSOL),
+        noxLevel: 1.0, // initial NOx (ppb)
+        baseMechanism: BUILTIN, // compiled mechanism (see atmos-mechanism.js)
+        modules: [], // chemistry modules added to it (see atmos-modules.js)
+        moduleSettings: {}, // { module id: settings }, e.g. halogen sources
+        mechanism: BUILTIN, // the base mechanism with the modules
+        rateMultipliers: {}, // { reaction id: factor } applied to its rate constant
+        solver: {
+            method: 'ros3Adaptive', // key into SOLVERS
+            rtol: 1e-3, // relative tolerance
+            atol: 1e-6, // absolute tolerance (ppb)
+            stats: createSolverStats()
+        },
+        outputEvery: 10, // store a sample every N steps
+        series: createSeries()
+    };
+    
+    const mode = MODES[options.mode || 'troposphere'];
+    if (!mode) throw new Error(`Unknown mode "${options.mode}"`);
+    model.mode = mode.id;
+    model.planet = mode.planet;
+    model.baseMechanism = model.mechanism = mode.mechanism;
+    Object.assign(model, mode.conditions);
+    if (mode.photolysis) setPhotolysis(model, mode.photolysis);
+    if (!mode.surface) {
+        Object.keys(model.emissions).forEach(source => { model.emissions[source] = 0; });
+        model.physics = Physics.createPhysics({
+            deposition: false, entrainment: false, boundaryLayer: { diurnal: false }
+        });
+    }
+    
+    const conditions = ['temperature', 'pressure', 'solarZenithAngle', 'relativeHumidity',
+        'h2oMixingRatio', 'diurnalCycle', 'latitude', 'longitude', 'startTime', 'timeZone', 'solarLongitude'];
+    conditions.forEach(key => {
+        if (options[key] !== undefined) model[key] = options[key];
+    });
+    if (options.outputEvery !== undefined) model.outputEvery = options.outputEvery;
+    if (options.photolysis) setPhotolysis(model, options.photolysis);
+    if (options.physics) setPhysics(model, options.physics);
+    if (options.aerosol) setAerosol(model, options.aerosol);
+    if (options.mechanism) model.baseMechanism = toMechanism(options.mechanism);
+    if (options.modules) model.modules = options.modules.slice();
+    Object.keys(options.moduleSettings || {}).forEach(id => {
+        model.moduleSettings[id] = Modules.moduleSettings(id, options.moduleSettings[id]);
+    });
+    model.mechanism = Modules.extendMechanism(model.baseMechanism, model.modules, model.moduleSettings);
+    if (options.rateMultipliers) setRateMultipliers(model, options.rateMultipliers);
+    if (options.forcing) model.forcing = checkForcing(model, options.forcing);
+    Object.assign(model.emissions, options.emissions);
+    if (options.customProfile) setCustomProfile(model, options.customProfile);
+    Object.keys(options.emissionProfiles || {}).forEach(source => {
+        setEmissionProfile(model, source, options.emissionProfiles[source]);
+    });
+    if (options.solver) {
+        ['method', 'rtol', 'atol'].forEach(key => {
+            if (options.solver[key] !== undefined) model.solver[key] = options.solver[key];
+        });
+    }
+    if (!SOLVERS[model.solver.method]) {
+        throw new Error(`Unknown solver method "${model.solver.method}"`);
+    }
+    
+    initializeConcentrations(model, options.preset);
+    if (options.noxLevel !== undefined) setNoxLevel(model, options.noxLevel);
+    Object.keys(options.initial || {}).forEach(sp => {
+        if (!model.mechanism.species[sp]) {
+            throw new Error(`Unknown species "${sp}" in initial concentrations`);
+        }
+        model.concentrations[sp] = options.initial[sp];
+    });
+    
+    parseLocalTime(model.startTime, model.timeZone); // fail early on a bad date
+    updateDiurnalCycle(model);
+    applyForcing(model);
+    return model;
+}
+
+// Preset values where the mechanism defines them, else each species' initial
+function initializeConcentrations(model, preset = 'background') {
+    const species = model.mechanism.species;
+    const presets = model.mechanism.presets;
+    if (Object.keys(presets).length > 0 && !presets[preset]) {
+        throw new Error(`Unknown preset "${preset}"`);
+    }
+    const initialValues = presets[preset] || {};
+    
+    model.concentrations = {};
+    Object.keys(species).forEach(sp => {
+        model.concentrations[sp] = initialValues[sp] !== undefined
+            ? initialValues[sp]
+            : (species[sp].initial || 0);
+        if (!model.series.concentrations[sp]) {
+            model.series.concentrations[sp] = [];
+            Physics.PROCESSES.forEach(process => { model.series.processes[process][sp] = []; });
+        }
+    });
+}
+
+// Stored samples: concentrations (ppb), boundary-layer height (m) and
+// the budget of each species by process (ppb/s)
+function createSeries(species = {}) {
+    const series = { time: [], concentrations: {}, boundaryLayerHeight: [], processes: {} };
+    Physics.PROCESSES.forEach(process => { series.processes[process] = {}; });
+    Object.keys(species).forEach(sp => {
+        series.concentrations[sp] = [];
+        Physics.PROCESSES.forEach(process => { series.processes[process][sp] = []; });
+    });
+    return series;
+}
+
+// Split an initial NOx level (ppb) evenly between NO and NO2
+function setNoxLevel(model, noxLevel) {
+    model.noxLevel = noxLevel;
+    if (model.mechanism.species.NO) model.concentrations.NO = noxLevel * 0.5;
+    if (model.mechanism.species.NO2) model.concentrations.NO2 = noxLevel * 0.5;
+}
+
+// Update photolysis settings, e.g. { table, albedo: 0.8, attenuation: 0.6 }
+function setPhotolysis(model, settings) {
+    Object.keys(settings).forEach(key => {
+        if (!(key in model.photolysis)) throw new Error(`Unknown photolysis setting "${key}"`);
+    });
+    const next = Object.assign({}, model.photolysis, settings);
+    ['altitude', 'ozoneColumn', 'albedo', 'attenuation'].forEach(key => {
+        if (typeof next[key] !== 'number' || !isFinite(next[key])) {
+            throw new Error(`Photolysis setting "${key}" must be a number`);
+        }
+    });
+    if (next.attenuation < 0) throw new Error('Cloud/aerosol attenuation factor cannot be negative');
+    if (next.albedo < 0 || next.albedo > 1) throw new Error('Surface albedo must be between 0 and 1');
+    model.photolysis = next;
+}
+
+// Update physical process settings, e.g. { deposition: false, dilutionRate: 0.5 }
+function setPhysics(model, settings) {
+    model.physics = Physics.updatePhysics(model.physics, settings);
+}
+
+// Update the aerosol, e.g. { area: 300, radius: 0.2 }
+function setAerosol(model, settings) {
+    Object.keys(settings).forEach(key => {
+        if (!(key in model.aerosol)) throw new Error(`Unknown aerosol setting "${key}"`);
+    });
+    const next = Object.assign({}, model.aerosol, settings);
+    if (typeof next.area !== 'number' || !(next.area >= 0)) {
+        throw new Error('Aerosol surface area must be a non-negative number (µm² cm⁻³)');
+    }
+    if (typeof next.radius !== 'number' || !(next.radius > 0)) {
+        throw new Error('Aerosol radius must be a positive number (µm)');
+    }
+    model.aerosol = next;
+}
+
+// Scale rate constants, e.g. { NO_O3: 1.1 }; {} restores them all
+function setRateMultipliers(model, multipliers) {
+    Object.keys(multipliers).forEach(id => {
+        if (model.mechanism.index[id] === undefined) throw new Error(`Unknown reaction "${id}"`);
+        if (!(multipliers[id] >= 0)) throw new Error(`Rate multiplier of ${id} must be a non-negative number`);
+    });
+    model.rateMultipliers = Object.assign({}, multipliers);
+}
+
+// Compiled mechanism from either a compiled one or a definition
+function toMechanism(mechanism) {
+    return mechanism.index ? mechanism : Mechanism.compileMechanism(mechanism);
+}
+
+// Swap the chemical mechanism and start over from its initial conditions;
+// the selected modules are added to the new mechanism
+function setMechanism(model, mechanism, preset = 'background') {
+    const base = toMechanism(mechanism);
+    model.mechanism = Modules.extendMechanism(base, model.modules, model.moduleSettings);
+    model.baseMechanism = base;
+    resetModel(model, preset);
+}
+
+// Select the chemistry modules, e.g. ['isoprene'], and start over
+function setModules(model, moduleIds, preset = 'background') {
+    model.mechanism = Modules.extendMechanism(model.baseMechanism, moduleIds, model.moduleSettings);
+    model.modules = moduleIds.slice();
+    resetModel(model, preset);
+}
+
+// Change one module's settings, e.g. ('halogens', { snowRecycling: 0.2 });
+// the run carries on with the rebuilt reactions
+function setModuleSettings(model, id, options) {
+    const settings = Object.assign({}, model.moduleSettings);
+    settings[id] = Modules.moduleSettings(id, Object.assign({}, settings[id], options));
+    model.mechanism = Modules.extendMechanism(model.baseMechanism, model.modules, settings);
+    model.moduleSettings = settings;
+}
+
+// Switch to another mode (see MODES) and start over: every setting goes
+// back to the mode's default (modules, forcing and rate multipliers are
+// dropped); only the output interval is kept
+function setMode(model, id, preset = 'background') {
+    const fresh = createModel({ mode: id, outputEvery: model.outputEvery });
+    Object.keys(fresh).forEach(key => { model[key] = fresh[key]; });
+    resetModel(model, preset);
+}
+
+// Back to t = 0 with empty series, keeping the current settings
+function resetModel(model, preset = 'background') {
+    model.time = 0;
+    model.series = createSeries();
+    initializeConcentrations(model, preset);
+    model.solver.stats = createSolverStats();
+    updateDiurnalCycle(model);
+    applyForcing(model);
+}
+
+// Current time of the model clock, ms since the epoch (UTC)
+function modelTimeUTC(model) {
+    return parseLocalTime(model.startTime, model.timeZone) + model.time * 1000;
+}
+
+// Local clock reading { year, month, day, hours, minutes, weekday (0 = Sunday) }
+// at the model's time zone
+function modelLocalTime(model) {
+    const local = new Date(modelTimeUTC(model) + model.timeZone * 3600e3);
+    return {
+        year: local.getUTCFullYear(),
+        month: local.getUTCMonth() + 1,
+        day: local.getUTCDate(),
+        hours: local.getUTCHours(),
+        minutes: local.getUTCMinutes(),
+        weekday: local.getUTCDay()
+    };
+}
+
+// Solar zenith angle from the location and the model clock, unless
+// the forcing gives it
+function updateDiurnalCycle(model) {
+    if (!model.diurnalCycle || (model.forcing && model.forcing.fields.sza)) return;
+    model.solarZenithAngle = model.planet === 'mars' ? marsSolarZenithAngle(model)
+        : solarZenithAngle(modelTimeUTC(model), model.latitude, model.longitude);
+}
+
+// Photolysis settings for the current step, with the planet's varying
+// distance from the sun and any forced J(NO2) scale folded into the
+// attenuation factor
+function modelPhotolysis(model) {
+    const factor = solarFluxFactor(model) * model.forcingJScale;
+    if (factor === 1) return model.photolysis;
+    return Object.assign({}, model.photolysis, { attenuation: model.photolysis.attenuation * factor });
+}
+
+// Water vapour mixing ratio (mol/mol): given directly, or from the
+// relative humidity and the saturation vapour pressure at the model temperature
+function waterVapour(model) {
+    if (model.h2oMixingRatio !== null && model.h2oMixingRatio !== undefined) {
+        return model.h2oMixingRatio;
+    }
+    return Mechanism.waterMixingRatio(model.temperature, model.pressure, model.relativeHumidity);
+}
+
+// Boundary-layer height (m) at the model's local time, dt (s) from now
+function boundaryLayerHeight(model, dt = 0) {
+    const local = new Date(modelTimeUTC(model) + (model.timeZone * 3600 + dt) * 1000);
+    const hours = local.getUTCHours() + local.getUTCMinutes() / 60 + local.getUTCSeconds() / 3600;
+    return Physics.boundaryLayerHeight(model.physics, hours);
+}
+
+// Background (free-tropospheric) concentrations that entrainment and
+// dilution mix in: the mechanism's background preset unless overridden
+function backgroundConcentrations(model) {
+    const species = model.mechanism.species;
+    const preset = model.mechanism.presets.background || {};
+    const background = {};
+    Object.keys(species).forEach(sp => {
+        if (model.physics.background[sp] !== undefined) background[sp] = model.physics.background[sp];
+        else background[sp] = preset[sp] !== undefined ? preset[sp] : (species[sp].initial || 0);
+    });
+    return background;
+}
+
+// Environment for the model's current conditions over the next dt (s);
+// dt sets the boundary-layer growth seen by entrainment
+function modelEnvironment(model, dt = 60) {
+    const env = createEnvironment(
+        model.mechanism,
+        model.temperature,
+        model.pressure,
+        model.solarZenithAngle,
+        currentEmissions(model),
+        waterVapour(model),
+        modelPhotolysis(model),
+        model.aerosol
+    );
+    Object.keys(model.rateMultipliers).forEach(id => {
+        const i = model.mechanism.index[id];
+        if (i !== undefined) env.k[i] *= model.rateMultipliers[id];
+    });
+    env.constrained = constrainedSpecies(model);
+    env.physics = Physics.processCoefficients(model.physics, boundaryLayerHeight(model),
+        boundaryLayerHeight(model, dt), dt, backgroundConcentrations(model));
+    return env;
+}
+
+// Independent copy of a model at its current state, with empty series
+// and solver statistics. Mechanism, J table and forcing are shared:
+// they are only ever replaced, not changed in place.
+function cloneModel(model) {
+    const copy = Object.assign({}, model);
+    copy.concentrations = Object.assign({}, model.concentrations);
+    copy.emissions = Object.assign({}, model.emissions);
+    copy.emissionProfiles = Object.assign({}, model.emissionProfiles);
+    copy.customProfile = copyProfile(model.customProfile);
+    copy.photolysis = Object.assign({}, model.photolysis);
+    copy.moduleSettings = Object.assign({}, model.moduleSettings);
+    copy.modules = model.modules.slice();
+    copy.rateMultipliers = Object.assign({}, model.rateMultipliers);
+    copy.solver = Object.assign({}, model.solver, { stats: createSolverStats() });
+    copy.series = createSeries(model.mechanism.species);
+    return copy;
+}
+
+// Advance the model by one output interval dt (s)
+function stepModel(model, dt) {
+    // Update concentrations
+    const env = modelEnvironment(model, dt);
+    model.concentrations = SOLVERS[model.solver.method].step(model.concentrations, dt, env, model.solver);
+    
+    // Update time
+    model.time += dt;
+    
+    // Update diurnal cycle and observed forcing
+    updateDiurnalCycle(model);
+    applyForcing(model);
+    
+    // Store data (every outputEvery time steps to reduce memory)
+    const series = model.series;
+    if (series.time.length === 0 ||
+        model.time - series.time[series.time.length - 1] >= dt * model.outputEvery) {
+        series.time.push(model.time);
+        Object.keys(model.mechanism.species).forEach(sp => {
+            series.concentrations[sp].push(model.concentrations[sp]);
+        });
+        
+        // Budget terms at the sample time (ppb/s)
+        const rates = processRates(model.concentrations, modelEnvironment(model, dt));
+        series.boundaryLayerHeight.push(boundaryLayerHeight(model));
+        Physics.PROCESSES.forEach(process => {
+            Object.keys(model.mechanism.species).forEach(sp => {
+                series.processes[process][sp].push(rates[process][sp]);
+            });
+        });
+    }
+}
+
+// Run for duration (s) in steps of dt (s)
+function runModel(model, duration, dt) {
+    if (!(duration > 0) || !(dt > 0)) {
+        throw new Error('duration and dt must be positive numbers of seconds');
+    }
+    const numSteps = Math.round(duration / dt);
+    for (let i = 0; i < numSteps; i++) {
+        stepModel(model, dt);
+    }
+    return model;
+}
+
+// ==========================================
+// BATCHES
+// ==========================================
+
+// A run can be split into batches of whole steps integrated elsewhere,
+// e.g. in a Web Worker (atmos-worker.js). modelSnapshot() gives a copy
+// of a model that postMessage can clone, without the parts that are
+// only ever replaced (mechanism, J table and forcing): those travel
+// separately, and only when they change. runBatch() advances the
+// restored copy and applyBatch() brings its progress back. Every step
+// is the same stepModel(model, dt), so batching never changes a result.
+
+// Last sample of a series, which sets when the next one is due
+function seriesTail(series) {
+    const tail = createSeries();
+    const lastOf = values => values.slice(series.time.length - 1, series.time.length);
+    tail.time = lastOf(series.time);
+    tail.boundaryLayerHeight = lastOf(series.boundaryLayerHeight);
+    Object.keys(series.concentrations).forEach(sp => { tail.concentrations[sp] = lastOf(series.concentrations[sp]); });
+    Physics.PROCESSES.forEach(process => {
+        Object.keys(series.processes[process]).forEach(sp => {
+            tail.processes[process][sp] = lastOf(series.processes[process][sp]);
+        });
+    });
+    return tail;
+}
+
+// Copy of a model to run a batch on, with its solver statistics and
+// the last sample of its series
+function batchModel(model) {
+    const copy = cloneModel(model);
+    copy.solver.stats = Object.assign({}, model.solver.stats);
+    copy.series = seriesTail(model.series);
+    return copy;
+}
+
+// The mechanism without its compiled rate expressions, which cannot be
+// posted; compileMechanism() builds them again
+function mechanismDefinition(mechanism) {
+    return Object.assign({}, mechanism, {
+        reactions: mechanism.reactions.map(rxn => {
+            if (!rxn.rate.evaluate) return rxn;
+            const rate = Object.assign({}, rxn.rate);
+            delete rate.evaluate;
+            return Object.assign({}, rxn, { rate: rate });
+        })
+    });
+}
+
+// Shared parts of a model: { mechanism, table, forcing }
+function modelParts(model) {
+    return { mechanism: model.mechanism, table: model.photolysis.table, forcing: model.forcing };
+}
+
+function modelSnapshot(model) {
+    const snapshot = batchModel(model);
+    snapshot.mechanism = null;
+    snapshot.baseMechanism = null;
+    snapshot.forcing = null;
+    snapshot.photolysis.table = null;
+    return snapshot;
+}
+
+function restoreSnapshot(snapshot, parts) {
+    snapshot.mechanism = parts.mechanism;
+    snapshot.baseMechanism = parts.mechanism;
+    snapshot.forcing = parts.forcing;
+    snapshot.photolysis.table = parts.table;
+    return snapshot;
+}
+
+// Advance a batch copy by steps of dt (s); its progress as { time,
+// concentrations, stats, samples (the series after the carried last
+// sample) } and the fields the diurnal cycle and forcing set
+function runBatch(model, steps, dt) {
+    if (!Number.isInteger(steps) || steps < 1 || !(dt > 0)) {
+        throw new Error('A batch needs a whole number of steps and a positive dt');
+    }
+    const carried = model.series.time.length;
+    for (let i = 0; i < steps; i++) {
+        stepModel(model, dt);
+    }
+    const samples = createSeries();
+    const after = values => values.slice(carried);
+    samples.time = after(model.series.time);
+    samples.boundaryLayerHeight = after(model.series.boundaryLayerHeight);
+    Object.keys(model.series.concentrations).forEach(sp => {
+        samples.concentrations[sp] = after(model.series.concentrations[sp]);
+    });
+    Physics.PROCESSES.forEach(process => {
+        Object.keys(model.series.processes[process]).forEach(sp => {
+            samples.processes[process][sp] = after(model.series.processes[process][sp]);
+        });
+    });
+    return {
+        time: model.time,
+        concentrations: model.concentrations,
+        stats: model.solver.stats,
+        samples: samples,
+        solarZenithAngle: model.solarZenithAngle,
+        temperature: model.temperature,
+        pressure: model.pressure,
+        relativeHumidity: model.relativeHumidity,
+        h2oMixingRatio: model.h2oMixingRatio,
+        emissions: model.emissions,
+        forcingJScale: model.forcingJScale
+    };
+}
+
+// Bring a batch's progress into the model it was taken from. Settings
+// are only copied where a step sets them (the diurnal cycle, forcing),
+// so changes made while the batch ran are kept.
+function applyBatch(model, batch) {
+    model.time = batch.time;
+    model.concentrations = batch.concentrations;
+    model.solver.stats = batch.stats;
+    if (model.diurnalCycle || model.forcing) model.solarZenithAngle = batch.solarZenithAngle;
+    if (model.forcing) {
+        ['temperature', 'pressure', 'relativeHumidity', 'h2oMixingRatio', 'emissions'].forEach(key => {
+            model[key] = batch[key];
+        });
+        model.forcingJScale = batch.forcingJScale;
+    }
+    
+    const series = model.series;
+    const samples = batch.samples;
+    series.time.push(...samples.time);
+    series.boundaryLayerHeight.push(...samples.boundaryLayerHeight);
+    Object.keys(samples.concentrations).forEach(sp => { series.concentrations[sp].push(...samples.concentrations[sp]); });
+    Physics.PROCESSES.forEach(process => {
+        Object.keys(samples.processes[process]).forEach(sp => {
+            series.processes[process][sp].push(...samples.processes[process][sp]);
+        });
+    });
+}
+
+// ==========================================
+// EMISSIONS
+// ==========================================
+
+// Emission rates are scaled by an hourly (local time) and a weekday
+// factor. The built-in profiles average 1, so a rate is the weekly mean.
+const EMISSION_PROFILES = {
+    flat: {
+        hourly: new Array(24).fill(1),
+        weekday: new Array(7).fill(1)
+    },
+    // Urban traffic: morning and evening rush hours, quieter weekends
+    traffic: {
+        hourly: [0.45, 0.35, 0.30, 0.30, 0.40, 0.70, 1.30, 1.75, 1.70, 1.30, 1.10, 1.05,
+            1.05, 1.05, 1.10, 1.25, 1.50, 1.70, 1.55, 1.20, 0.95, 0.80, 0.65, 0.50],
+        weekday: [0.65, 1.05, 1.07, 1.07, 1.07, 1.10, 0.99] // Sunday first
+    }
+};
+
+// NOx is emitted as NO and NO2 (molar split typical of combustion)
+const NOX_SPLIT = { NO: 0.9, NO2: 0.1 };
+
+function copyProfile(profile) {
+    return { hourly: profile.hourly.slice(), weekday: profile.weekday.slice() };
+}
+
+// Use a named profile ('flat', 'traffic', 'custom', 'lightTemperature') for one emission
+function setEmissionProfile(model, source, name) {
+    if (!EMISSION_PROFILES[name] && name !== 'custom' && name !== 'lightTemperature') {
+        throw new Error(`Unknown emission profile "${name}"`);
+    }
+    model.emissionProfiles[source] = name;
+}
+
+// Replace the custom profile { hourly: 24 factors, weekday: 7 factors (Sunday first) }
+function setCustomProfile(model, profile) {
+    const check = (values, length, label) => {
+        if (!Array.isArray(values) || values.length !== length || values.some(v => typeof v !== 'number' || !(v >= 0))) {
+            throw new Error(`Custom emission profile needs ${length} non-negative ${label} factors`);
+        }
+    };
+    check(profile.hourly, 24, 'hourly');
+    check(profile.weekday, 7, 'weekday');
+    model.customProfile = copyProfile(profile);
+}
+
+// Profile factor of one emission at the model's local time. Biogenic
+// emissions ('lightTemperature') follow the Guenther et al. (1993) light
+// and temperature dependence instead.
+function emissionFactor(model, source, local = modelLocalTime(model)) {
+    const name = model.emissionProfiles[source] || 'flat';
+    if (name === 'lightTemperature') {
+        const par = Modules.photosyntheticRadiation(model.solarZenithAngle,
+            model.photolysis.attenuation * model.forcingJScale);
+        return Modules.lightTemperatureFactor(model.temperature, par);
+    }
+    const profile = name === 'custom' ? model.customProfile : EMISSION_PROFILES[name];
+    return profile.hourly[local.hours] * profile.weekday[local.weekday];
+}
+
+// Emission rate (ppb/day) of each emitted species now; rates from a
+// forcing file are already time-resolved and are not scaled
+function currentEmissions(model) {
+    const local = modelLocalTime(model);
+    const rates = {};
+    Object.keys(model.emissions).forEach(source => {
+        const forced = model.forcing && model.forcing.emissions[source];
+        const rate = model.emissions[source] * (forced ? 1 : emissionFactor(model, source, local));
+        const split = source === 'NOx' ? NOX_SPLIT : { [source]: 1 };
+        Object.keys(split).forEach(sp => { rates[sp] = (rates[sp] || 0) + rate * split[sp]; });
+    });
+    return rates;
+}
+
+// ==========================================
+// FORCING
+// ==========================================
+
+// Largest factor a measured J(NO2) may scale the modelled J-values by
+const MAX_J_SCALE = 2;
+
+// Forcing from parsed data, with its species checked against the mechanism
+function checkForcing(model, forcing) {
+    if (!forcing.fields) forcing = Forcing.createForcing(forcing);
+    ['emissions', 'constrained'].forEach(group => {
+        Object.keys(forcing[group]).forEach(sp => {
+            if (group === 'emissions' && sp === 'NOx') return;
+            if (!model.mechanism.species[sp]) {
+                throw new Error(`Forcing: "${sp}" is not a species of the ${model.mechanism.name} mechanism`);
+            }
+        });
+    });
+    return forcing;
+}
+
+// Drive the model from observed time series; null switches forcing off
+function setForcing(model, forcing) {
+    model.forcing = forcing ? checkForcing(model, forcing) : null;
+    model.forcingJScale = 1;
+    updateDiurnalCycle(model);
+    applyForcing(model);
+}
+
+// Factor that brings the model's J(NO2), with its own cloud/aerosol
+// factor, to the measured value; every J is scaled by it
+function jScaleFromJNO2(model, jNO2) {
+    const unforced = Object.assign({}, model.photolysis, {
+        attenuation: model.photolysis.attenuation * solarFluxFactor(model)
+    });
+    const jValue = Photolysis.jValueFunction(unforced, model.solarZenithAngle);
+    const name = Photolysis.mechanismJNames(model.mechanism).includes('J4') ? 'J4' : 'NO2_photolysis';
+    const modelled = jValue(name);
+    if (modelled < 1e-6) return 1; // night or twilight: nothing to scale
+    return Math.max(0, Math.min(MAX_J_SCALE, jNO2 / modelled));
+}
+
+// Set conditions, emissions and constrained species to the forcing at
+// the model time. Called at every output step, so conditions change
+// between output intervals and are held within one.
+function applyForcing(model) {
+    if (!model.forcing) return;
+    const f = Forcing.forcingAt(model.forcing, model.time);
+    
+    if (f.temperature !== undefined) model.temperature = f.temperature;
+    if (f.pressure !== undefined) model.pressure = f.pressure;
+    if (f.relativeHumidity !== undefined) {
+        model.relativeHumidity = f.relativeHumidity;
+        model.h2oMixingRatio = null;
+    }
+    if (f.sza !== undefined) model.solarZenithAngle = f.sza;
+    model.forcingJScale = f.jNO2 !== undefined ? jScaleFromJNO2(model, f.jNO2) : 1;
+    
+    Object.assign(model.emissions, f.emissions);
+    Object.keys(f.constrained).forEach(sp => {
+        if (model.mechanism.species[sp]) model.concentrations[sp] = Math.max(0, f.constrained[sp]);
+    });
+}
+
+// Species held at observed values
+function constrainedSpecies(model) {
+    if (!model.forcing) return [];
+    return Object.keys(model.forcing.constrained).filter(sp => model.mechanism.species[sp]);
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+// With an ensemble (see atmos-analysis.js) its statistics follow as
+// extra columns, on the union of both sets of sample times; cells
+// without a sample are left empty
+function timeSeriesToCSV(series, species = SPECIES, ensemble = null) {
+    let csv = 'Time(hours)';
+    Object.keys(species).forEach(sp => {
+        csv += ',' + species[sp].name + '(ppb)';
+    });
+    const statistics = ensemble ? Object.keys(ensemble.statistics) : [];
+    statistics.forEach(name => {
+        Object.keys(species).forEach(sp => {
+            csv += `,${species[sp].name} ${name}(ppb)`;
+        });
+    });
+    csv += '\n';
+    
+    const sampleIndex = times => new Map(times.map((t, i) => [t, i]));
+    const own = sampleIndex(series.time);
+    const members = ensemble ? sampleIndex(ensemble.time) : new Map();
+    const times = ensemble
+        ? Array.from(new Set(series.time.concat(ensemble.time))).sort((a, b) => a - b)
+        : series.time;
+    times.forEach(t => {
+        csv += (t / 3600).toFixed(4);
+        const i = own.get(t);
+        Object.keys(species).forEach(sp => {
+            csv += ',' + (i === undefined ? '' : series.concentrations[sp][i].toFixed(6));
+        });
+        const j = members.get(t);
+        statistics.forEach(name => {
+            Object.keys(species).forEach(sp => {
+                const values = ensemble.statistics[name][sp];
+                csv += ',' + (j === undefined || !values ? '' : values[j].toFixed(6));
+            });
+        });
+        csv += '\n';
+    });
+    
+    return csv;
+}
+
+// Budget of each species by process (ppb/h) at the stored samples,
+// with the boundary-layer height
+function budgetToCSV(series, species = SPECIES) {
+    const columns = [];
+    Object.keys(species).forEach(sp => {
+        Physics.PROCESSES.forEach(process => { columns.push([sp, process]); });
+    });
+    
+    let csv = 'Time(hours),BLH(m),' +
+        columns.map(([sp, process]) => `${species[sp].name} ${process}(ppb/h)`).join(',') + '\n';
+    series.time.forEach((t, i) => {
+        csv += (t / 3600).toFixed(4) + ',' + series.boundaryLayerHeight[i].toFixed(1);
+        columns.forEach(([sp, process]) => {
+            csv += ',' + (series.processes[process][sp][i] * 3600).toExponential(4);
+        });
+        csv += '\n';
+    });
+    return csv;
+}
+
+return {
+    R, NA, M_AIR,
+    SPECIES, PRESETS, SOLVERS, BUILTIN, MODES, PLANETS,
+    getRateConstant, createEnvironment, o1dOHYield, chemicalLifetime,
+    calculateRates, calculateJacobian, addEmissions, calculateTendencies, processRates,
+    rk4Step, rosenbrockStep, cashKarpStep, integrateAdaptive, jacobianLifetimes, steadyState,
+    luDecompose, luSolve,
+    EMISSION_PROFILES, NOX_SPLIT,
+    createSolverStats, createModel, initializeConcentrations, setNoxLevel, resetModel,
+    setEmissionProfile, setCustomProfile, emissionFactor, currentEmissions,
+    setMode, setMechanism, setModules, setModuleSettings, setPhotolysis, setAerosol, setForcing, applyForcing, setPhysics,
+    setRateMultipliers, cloneModel,
+    boundaryLayerHeight, backgroundConcentrations, waterVapour, modelEnvironment, updateDiurnalCycle,
+    parseLocalTime, solarPosition, solarZenithAngle, marsSolarTime, marsSolarDistance, marsSolarZenithAngle,
+    solarFluxFactor, modelPhotolysis, modelTimeUTC, modelLocalTime, stepModel, runModel,
+    batchModel, mechanismDefinition, modelParts, modelSnapshot, restoreSnapshot, runBatch, applyBatch,
+    timeSeriesToCSV, budgetToCSV
+};
+});
@@ -0,0 +1,157 @@
+// ==========================================
+// ATMOSPHERIC CHEMISTRY SIMULATOR
+// Forcing: observed meteorology, photolysis, emissions and
+// constrained species as time series, interpolated in model time
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AtmosForcing = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+// Meteorological fields and their accepted column names
+// (case-insensitive): temperature (K), pressure (hPa),
+// relativeHumidity (%), jNO2 (s⁻¹), sza (°)
+const FIELDS = {
+    temperature: ['temperature', 't', 'temp', 't_k'],
+    pressure: ['pressure', 'p', 'p_hpa'],
+    relativeHumidity: ['relativehumidity', 'rh'],
+    jNO2: ['jno2', 'j_no2'],
+    sza: ['sza', 'zenith']
+};
+
+// Time column: seconds or hours since the start of the run
+const TIME_COLUMNS = { time: 1, time_s: 1, seconds: 1, hours: 3600, time_h: 3600 };
+
+// Emission columns are E_<species> (ppb/day); any other column is a
+// species held to its observed mixing ratio (ppb)
+const EMISSION_PREFIX = 'E_';
+
+function fieldForColumn(column) {
+    const key = column.toLowerCase();
+    return Object.keys(FIELDS).find(field => FIELDS[field].includes(key));
+}
+
+// Check and sort a forcing { time, fields, emissions, constrained };
+// missing observations are null/NaN and are interpolated across
+function createForcing(data, source = '') {
+    const time = data.time;
+    if (!Array.isArray(time) || time.length === 0) throw new Error('Forcing: no time column');
+    for (let i = 1; i < time.length; i++) {
+        if (!(time[i] > time[i - 1])) throw new Error(`Forcing: time must increase (row ${i + 1})`);
+    }
+    
+    const forcing = { time: time, fields: {}, emissions: {}, constrained: {}, source: source };
+    const clean = (values, label) => {
+        if (!Array.isArray(values) || values.length !== time.length) {
+            throw new Error(`Forcing: "${label}" needs one value per time`);
+        }
+        const out = values.map(v => (v === null || v === '' ? NaN : Number(v)));
+        if (out.every(isNaN)) throw new Error(`Forcing: "${label}" has no values`);
+        return out;
+    };
+    Object.keys(data.fields || {}).forEach(field => {
+        if (!FIELDS[field]) throw new Error(`Forcing: unknown field "${field}"`);
+        forcing.fields[field] = clean(data.fields[field], field);
+    });
+    ['emissions', 'constrained'].forEach(group => {
+        Object.keys(data[group] || {}).forEach(sp => {
+            forcing[group][sp] = clean(data[group][sp], sp);
+        });
+    });
+    return forcing;
+}
+
+// CSV with a header line, e.g.
+//   hours,T,P,RH,JNO2,E_CO,NO2,O3
+// Empty cells are missing observations; lines starting with # are comments.
+function parseCSV(text, source) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+    if (lines.length < 2) throw new Error('Forcing: needs a header line and at least one row');
+    
+    const header = lines[0].split(',').map(h => h.trim());
+    const timeIndex = header.findIndex(h => TIME_COLUMNS[h.toLowerCase()] !== undefined);
+    if (timeIndex < 0) throw new Error('Forcing: no time column ("time" in s or "hours")');
+    const timeScale = TIME_COLUMNS[header[timeIndex].toLowerCase()];
+    
+    const rows = lines.slice(1).map((line, r) => {
+        const cells = line.split(',').map(cell => cell.trim());
+        if (cells.length !== header.length) {
+            throw new Error(`Forcing: row ${r + 2} has ${cells.length} cells, expected ${header.length}`);
+        }
+        return cells.map(cell => {
+            const value = cell === '' ? NaN : Number(cell);
+            if (cell !== '' && isNaN(value)) throw new Error(`Forcing: cannot read "${cell}" in row ${r + 2}`);
+            return value;
+        });
+    });
+    
+    const data = { time: rows.map(row => row[timeIndex] * timeScale), fields: {}, emissions: {}, constrained: {} };
+    header.forEach((column, i) => {
+        if (i === timeIndex) return;
+        const values = rows.map(row => row[i]);
+        const field = fieldForColumn(column);
+        if (field) data.fields[field] = values;
+        else if (column.startsWith(EMISSION_PREFIX)) data.emissions[column.slice(EMISSION_PREFIX.length)] = values;
+        else data.constrained[column] = values;
+    });
+    return createForcing(data, source);
+}
+
+// Forcing from CSV, or JSON { time | hours, temperature, ..., emissions: {}, constrained: {} }
+function parseForcing(text, fileName = '') {
+    const trimmed = text.trim();
+    if (!fileName.toLowerCase().endsWith('.json') && !trimmed.startsWith('{')) {
+        return parseCSV(text, fileName);
+    }
+    const json = JSON.parse(trimmed);
+    const data = {
+        time: json.time || (json.hours && json.hours.map(h => h * 3600)),
+        fields: {},
+        emissions: json.emissions,
+        constrained: json.constrained
+    };
+    Object.keys(FIELDS).forEach(field => {
+        if (json[field] !== undefined) data.fields[field] = json[field];
+    });
+    return createForcing(data, fileName);
+}
+
+// Linear interpolation in time across missing values; the first and
+// last observations are held outside the covered period
+function interpolateSeries(time, values, t) {
+    let before = -1;
+    let after = -1;
+    for (let i = 0; i < time.length; i++) {
+        if (isNaN(values[i])) continue;
+        if (time[i] <= t) before = i;
+        else if (after < 0) {
+            after = i;
+            break;
+        }
+    }
+    if (before < 0) return values[after];
+    if (after < 0) return values[before];
+    const w = (t - time[before]) / (time[after] - time[before]);
+    return values[before] + w * (values[after] - values[before]);
+}
+
+// Every forced quantity at model time t (s):
+// { temperature, ..., emissions: {}, constrained: {} }
+function forcingAt(forcing, t) {
+    const at = values => interpolateSeries(forcing.time, values, t);
+    const result = { emissions: {}, constrained: {} };
+    Object.keys(forcing.fields).forEach(field => { result[field] = at(forcing.fields[field]); });
+    Object.keys(forcing.emissions).forEach(sp => { result.emissions[sp] = at(forcing.emissions[sp]); });
+    Object.keys(forcing.constrained).forEach(sp => { result.constrained[sp] = at(forcing.constrained[sp]); });
+    return result;
+}
+
+return {
+    FIELDS, EMISSION_PREFIX,
+    createForcing, parseForcing, interpolateSeries, forcingAt
+};
+});
@@ -0,0 +1,435 @@
+// ==========================================
+// ATMOSPHERIC CHEMISTRY SIMULATOR
+// Mechanism Import: KPP (.eqn/.def) and MCM FACSIMILE
+// Turns mechanism files into definitions for compileMechanism().
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./atmos-mechanism.js'));
+    } else {
+        root.AtmosImport = factory(root.AtmosMechanism);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Mechanism) {
+
+// Species given by the environment rather than integrated: in reactants
+// they multiply the rate by their number density, as products they are dropped
+const FIXED_SPECIES = Mechanism.FIXED_SPECIES;
+
+// Photon pseudo-species, ignored on either side of an equation
+const PHOTON = ['HV', 'PHOTON'];
+
+// Colours for imported species the built-in mechanism does not know
+const PALETTE = [
+    '#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa', '#fb7185',
+    '#22d3ee', '#a3e635', '#f97316', '#e879f9', '#2dd4bf', '#facc15'
+];
+
+// KPP sections that carry no chemistry; skipped with a warning
+const KPP_IGNORED = [
+    'ATOMS', 'CHECK', 'CHECKALL', 'LOOKAT', 'LOOKATALL', 'MONITOR', 'INTEGRATOR',
+    'LANGUAGE', 'MODEL', 'DOUBLE', 'REORDER', 'DRIVER', 'STOICMAT', 'HESSIAN',
+    'JACOBIAN', 'FUNCTION', 'INITVALUES', 'XGRID', 'YGRID', 'ZGRID', 'MEX',
+    'DUMMYINDEX', 'EQNTAGS', 'TRANSPORT', 'TRANSPORTALL', 'USES', 'SETVAR',
+    'SETFIX', 'AUTOREDUCE', 'MINVERSION', 'UPPERCASEF90', 'DECLARE', 'WRITE_ATM'
+];
+
+// Collects problems with their line numbers while parsing
+function createReport() {
+    const report = { errors: [], warnings: [] };
+    report.error = (line, message) => report.errors.push(`line ${line}: ${message}`);
+    report.warn = (line, message) => report.warnings.push(`line ${line}: ${message}`);
+    return report;
+}
+
+// Split text into ';'-terminated statements, keeping the line each starts on
+function splitStatements(text, firstLine = 1) {
+    const statements = [];
+    let line = firstLine;
+    text.split(';').forEach(chunk => {
+        const leading = chunk.match(/^\s*/)[0];
+        const startLine = line + (leading.match(/\n/g) || []).length;
+        line += (chunk.match(/\n/g) || []).length;
+        const body = chunk.trim();
+        if (body) statements.push({ text: body, line: startLine });
+    });
+    return statements;
+}
+
+// ==========================================
+// EQUATIONS
+// ==========================================
+
+// "0.4 OH", "2NO2", "CH3O2" -> { coefficient, species }
+function parseTerm(term) {
+    const match = /^([0-9]*\.?[0-9]+(?:[eEdD][-+]?[0-9]+)?|[0-9]+\.)?\s*\*?\s*([A-Za-z_][\w]*)$/.exec(term);
+    if (!match) return null;
+    const coefficient = match[1] ? Number(match[1].replace(/[dD]/, 'e')) : 1;
+    return { coefficient: coefficient, species: match[2] };
+}
+
+function isPhoton(name) {
+    return PHOTON.includes(name.toUpperCase());
+}
+
+// One reaction from its two sides and rate expression text
+function parseReaction(lhs, rhs, rateText, line, ctx) {
+    const reactants = [];
+    const fixed = [];
+    const products = {};
+    let ok = true;
+    
+    const terms = side => side.split('+').map(t => t.trim()).filter(t => t && t !== 'hν');
+    
+    terms(lhs).forEach(term => {
+        const parsed = parseTerm(term);
+        if (!parsed) {
+            ctx.report.error(line, `cannot read reactant "${term}"`);
+            ok = false;
+            return;
+        }
+        if (isPhoton(parsed.species)) return;
+        if (!Number.isInteger(parsed.coefficient) || parsed.coefficient < 1) {
+            ctx.report.error(line, `reactant coefficients must be whole numbers ("${term}")`);
+            ok = false;
+            return;
+        }
+        for (let n = 0; n < parsed.coefficient; n++) {
+            if (ctx.isFixed(parsed.species)) {
+                fixed.push(parsed.species.toUpperCase());
+            } else {
+                reactants.push(ctx.useSpecies(parsed.species, line));
+            }
+        }
+    });
+    
+    terms(rhs).forEach(term => {
+        if (term.startsWith('-')) {
+            ctx.report.error(line, `negative product coefficients are not supported ("${term}")`);
+            ok = false;
+            return;
+        }
+        const parsed = parseTerm(term);
+        if (!parsed) {
+            ctx.report.error(line, `cannot read product "${term}"`);
+            ok = false;
+            return;
+        }
+        if (isPhoton(parsed.species) || ctx.isFixed(parsed.species) || parsed.coefficient === 0) return;
+        const sp = ctx.useSpecies(parsed.species, line);
+        products[sp] = (products[sp] || 0) + parsed.coefficient;
+    });
+    
+    const rate = parseRate(rateText, fixed, line, ctx);
+    if (!rate || !ok) return null;
+    
+    return { reactants: reactants, products: products, rate: rate, line: line };
+}
+
+// Rate expression -> rate spec. Plain numbers and bare J(n)/J<n> get the
+// simple rate types; anything else stays an expression. Fixed reactants
+// (O2, M, ...) are listed in the spec's "fixed".
+function parseRate(text, fixed, line, ctx) {
+    const source = text.trim().replace(/\s+/g, ' ');
+    if (!source) {
+        ctx.report.error(line, 'missing rate expression');
+        return null;
+    }
+    
+    // Compile now so that unsupported syntax is reported with its line
+    try {
+        Mechanism.compileRateExpression(source, ctx.definitions);
+    } catch (err) {
+        const unknown = /Unknown name "(\w+)"/.exec(err.message);
+        const isSpecies = unknown &&
+            (unknown[1] === 'RO2' || ctx.order.some(sp => sp.toUpperCase() === unknown[1]));
+        const hint = isSpecies
+            ? ' (rates that depend on concentrations, like the MCM RO2 sum, are not supported)'
+            : '';
+        ctx.report.error(line, err.message + hint);
+        return null;
+    }
+    
+    let rate = { type: 'expression', expression: source };
+    const number = /^[0-9]*\.?[0-9]+(?:[eEdD][-+]?[0-9]+)?$/.exec(source);
+    const photolysis = /^J\s*(?:\(\s*(\d+)\s*\)|<\s*(\d+)\s*>)$/i.exec(source);
+    if (number) rate = { type: 'constant', k: Number(source.replace(/[dD]/, 'e')) };
+    if (photolysis) rate = { type: 'photolysis', j: 'J' + (photolysis[1] || photolysis[2]) };
+    
+    if (fixed.length > 0) rate.fixed = fixed;
+    return rate;
+}
+
+// ==========================================
+// MECHANISM ASSEMBLY
+// ==========================================
+
+// Shared parsing state: declared species, fixed species and definitions
+function createContext(options) {
+    const ctx = {
+        report: createReport(),
+        declared: null, // Set of declared species, or null to infer them
+        fixed: new Set(FIXED_SPECIES),
+        order: [],
+        definitions: {},
+        reactions: []
+    };
+    
+    ctx.isFixed = name => ctx.fixed.has(name.toUpperCase());
+    
+    ctx.declare = (name, line) => {
+        if (!ctx.declared) ctx.declared = new Set();
+        if (ctx.declared.has(name)) {
+            ctx.report.warn(line, `species "${name}" declared twice`);
+            return;
+        }
+        ctx.declared.add(name);
+        ctx.order.push(name);
+    };
+    
+    ctx.useSpecies = (name, line) => {
+        if (ctx.declared && !ctx.declared.has(name)) {
+            if (!options.inferSpecies) {
+                ctx.report.error(line, `species "${name}" is not declared`);
+            }
+            ctx.declared.add(name);
+            ctx.order.push(name);
+        } else if (!ctx.declared && !ctx.order.includes(name)) {
+            ctx.order.push(name);
+        }
+        return name;
+    };
+    
+    return ctx;
+}
+
+// Species entries reuse the built-in ones (name, colour, initial value)
+// where the ids match
+function buildSpecies(order) {
+    const species = {};
+    let colour = 0;
+    order.forEach(sp => {
+        if (Mechanism.SPECIES[sp]) {
+            species[sp] = Object.assign({}, Mechanism.SPECIES[sp]);
+        } else {
+            species[sp] = { name: sp, color: PALETTE[colour++ % PALETTE.length], initial: 0, families: [] };
+        }
+    });
+    return species;
+}
+
+function finishImport(ctx, format, options) {
+    if (ctx.reactions.length === 0 && ctx.report.errors.length === 0) {
+        ctx.report.errors.push('no reactions found');
+    }
+    if (ctx.report.errors.length > 0) {
+        const err = new Error(`Could not import ${format} mechanism:\n  ${ctx.report.errors.join('\n  ')}`);
+        err.problems = ctx.report.errors;
+        err.warnings = ctx.report.warnings;
+        throw err;
+    }
+    
+    // Unique reaction ids: the file's own label where it has one
+    const ids = new Set();
+    const reactions = ctx.reactions.map((rxn, i) => {
+        let id = rxn.label || `R${i + 1}`;
+        while (ids.has(id)) id += "'";
+        ids.add(id);
+        return { id: id, reactants: rxn.reactants, products: rxn.products, rate: rxn.rate };
+    });
+    
+    const definition = {
+        id: options.id || 'imported',
+        name: options.name || `Imported (${format})`,
+        species: buildSpecies(ctx.order),
+        presets: {},
+        definitions: ctx.definitions,
+        reactions: reactions
+    };
+    
+    return { definition: definition, warnings: ctx.report.warnings };
+}
+
+// ==========================================
+// KPP
+// ==========================================
+
+// KPP: "#DEFVAR", "#DEFFIX" and "#EQUATIONS" sections, equations written
+// "<R1> CH4 + OH = CH3O2 + H2O : ARR2(2.45E-12, 1775.0) ;"
+// { } and // are comments
+function parseKPP(text, options = {}) {
+    const ctx = createContext(options);
+    
+    // Blank out comments, keeping line breaks for line numbers
+    const blank = s => s.replace(/[^\n]/g, ' ');
+    const clean = text.replace(/\{[^}]*\}/g, blank).replace(/\/\/[^\n]*/g, blank);
+    
+    // Split into sections at "#KEYWORD"
+    const sections = [];
+    const header = /^[ \t]*#([A-Za-z_]+)[^\S\n]*(.*)$/gm;
+    let match;
+    while ((match = header.exec(clean))) {
+        const line = clean.slice(0, match.index).split('\n').length;
+        if (sections.length > 0) sections[sections.length - 1].end = match.index;
+        sections.push({ keyword: match[1].toUpperCase(), line: line, start: match.index + match[0].length - match[2].length });
+    }
+    if (sections.length === 0) {
+        // A bare equation list
+        sections.push({ keyword: 'EQUATIONS', line: 1, start: 0 });
+    }
+    
+    let inInline = false;
+    sections.forEach(section => {
+        const body = clean.slice(section.start, section.end);
+        
+        if (inInline) {
+            if (section.keyword === 'ENDINLINE') inInline = false;
+            return;
+        }
+        
+        switch (section.keyword) {
+        case 'DEFVAR':
+        case 'DEFRAD':
+            splitStatements(body, section.line).forEach(st => {
+                const name = st.text.split('=')[0].trim();
+                if (/^[A-Za-z_]\w*$/.test(name)) ctx.declare(name, st.line);
+                else ctx.report.error(st.line, `cannot read species declaration "${st.text}"`);
+            });
+            break;
+        case 'DEFFIX':
+            splitStatements(body, section.line).forEach(st => {
+                const name = st.text.split('=')[0].trim();
+                if (FIXED_SPECIES.includes(name.toUpperCase())) return;
+                // Fixed in KPP, but the box model has no number density for it
+                ctx.report.warn(st.line, `fixed species "${name}" is integrated like any other species`);
+                ctx.declare(name, st.line);
+            });
+            break;
+        case 'EQUATIONS':
+            splitStatements(body, section.line).forEach(st => {
+                const eq = /^(?:<\s*([^>]+?)\s*>)?([^=:]*)=([^:]*):([\s\S]*)$/.exec(st.text);
+                if (!eq) {
+                    ctx.report.error(st.line, `expected "reactants = products : rate", got "${st.text}"`);
+                    return;
+                }
+                const rxn = parseReaction(eq[2], eq[3], eq[4], st.line, ctx);
+                if (rxn) {
+                    rxn.label = eq[1];
+                    ctx.reactions.push(rxn);
+                }
+            });
+            break;
+        case 'INLINE':
+            ctx.report.warn(section.line, '#INLINE code is not run; rate functions defined there are unavailable');
+            inInline = true;
+            break;
+        case 'INCLUDE':
+            ctx.report.error(section.line,
+                `#INCLUDE ${body.trim()} cannot be followed; paste the included file's content instead`);
+            break;
+        default:
+            if (KPP_IGNORED.includes(section.keyword)) {
+                ctx.report.warn(section.line, `#${section.keyword} ignored`);
+            } else {
+                ctx.report.error(section.line, `unknown section #${section.keyword}`);
+            }
+        }
+    });
+    
+    if (!ctx.declared) {
+        ctx.report.warnings.unshift('no #DEFVAR section: species taken from the equations');
+    }
+    return finishImport(ctx, 'KPP', options);
+}
+
+// ==========================================
+// MCM FACSIMILE
+// ==========================================
+
+// FACSIMILE as exported by the MCM website:
+//   * comment ;
+//   KRO2NO = 2.7D-12*EXP(360/TEMP) ;      (named rate coefficient)
+//   VARIABLE O3 NO NO2 ... ;              (optional species list)
+//   % KRO2NO : CH3O2 + NO = CH3O + NO2 ;  (reaction)
+function parseFacsimile(text, options = {}) {
+    const ctx = createContext(options);
+    const pending = [];
+    
+    splitStatements(text).forEach(st => {
+        const statement = st.text;
+        if (statement.startsWith('*')) return;
+        
+        if (statement.startsWith('%')) {
+            const eq = /^%([^:]*):([^=]*)=([\s\S]*)$/.exec(statement);
+            if (!eq) {
+                ctx.report.error(st.line, `expected "% rate : reactants = products", got "${statement}"`);
+                return;
+            }
+            // Rates may use definitions given further down, so parse them last
+            pending.push({ rate: eq[1], lhs: eq[2], rhs: eq[3], line: st.line });
+            return;
+        }
+        
+        const keyword = statement.split(/\s+/)[0].toUpperCase();
+        if (keyword === 'VARIABLE') {
+            statement.split(/\s+/).slice(1).forEach(name => ctx.declare(name, st.line));
+            return;
+        }
+        
+        const assignment = /^([A-Za-z_]\w*)\s*=\s*([\s\S]+)$/.exec(statement);
+        if (assignment) {
+            ctx.definitions[assignment[1].toUpperCase()] = assignment[2].trim().replace(/\s+/g, ' ');
+            return;
+        }
+        
+        ctx.report.warn(st.line, `"${statement.split('\n')[0].slice(0, 40)}" ignored`);
+    });
+    
+    pending.forEach(p => {
+        const rxn = parseReaction(p.lhs, p.rhs, p.rate, p.line, ctx);
+        if (rxn) ctx.reactions.push(rxn);
+    });
+    
+    return finishImport(ctx, 'FACSIMILE', options);
+}
+
+// ==========================================
+// ENTRY POINT
+// ==========================================
+
+const FORMATS = {
+    kpp: parseKPP,
+    facsimile: parseFacsimile
+};
+
+// Guess the format from the file extension, then from the content
+function detectFormat(text, fileName = '') {
+    const ext = fileName.toLowerCase().split('.').pop();
+    if (['eqn', 'def', 'spc', 'kpp'].includes(ext)) return 'kpp';
+    if (['fac', 'facsimile'].includes(ext)) return 'facsimile';
+    if (/^\s*%/m.test(text) || /^\s*VARIABLE\b/mi.test(text)) return 'facsimile';
+    return 'kpp';
+}
+
+// Parse and compile a mechanism file.
+// options: format ('kpp' | 'facsimile', detected when omitted), fileName,
+// id, name, inferSpecies (accept species missing from the declarations)
+function importMechanism(text, options = {}) {
+    const format = options.format || detectFormat(text, options.fileName);
+    if (!FORMATS[format]) throw new Error(`Unknown mechanism format "${format}"`);
+    
+    const name = options.name || (options.fileName ? options.fileName.replace(/^.*[\\/]/, '') : undefined);
+    const result = FORMATS[format](text, Object.assign({}, options, { name: name }));
+    return {
+        mechanism: Mechanism.compileMechanism(result.definition),
+        definition: result.definition,
+        warnings: result.warnings,
+        format: format
+    };
+}
+
+return {
+    FIXED_SPECIES,
+    parseKPP, parseFacsimile, detectFormat, importMechanism
+};
+});
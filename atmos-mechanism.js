@@ -0,0 +1,1385 @@
+// ==========================================
+// ATMOSPHERIC CHEMISTRY SIMULATOR
+// Declarative Chemical Mechanism
+// Reactions are data: the ODE right-hand side, Jacobian, reaction
+// list and network arrows are all generated from the table below.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AtmosMechanism = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+// Physical Constants
+const R = 8.314; // Gas constant J/(mol·K)
+const NA = 6.022e23; // Avogadro's number
+const M_AIR = 28.97; // Molar mass of air g/mol
+
+// ==========================================
+// BUILT-IN MECHANISM: CH4-CO-NOx
+// ==========================================
+
+// Species Configuration
+// families: species sharing a family are linked by arrows in the network
+const SPECIES = {
+    CH4: { name: 'CH₄', color: '#3b82f6', initial: 1800, families: ['C'] }, // ppb
+    CO: { name: 'CO', color: '#f59e0b', initial: 100, families: ['C'] },
+    CO2: { name: 'CO₂', color: '#10b981', initial: 400000, families: ['C'] }, // Actually ppm, but in ppb units
+    OH: { name: 'OH', color: '#ec4899', initial: 0.1, families: ['HOx'] },
+    HO2: { name: 'HO₂', color: '#06b6d4', initial: 10, families: ['HOx'] },
+    O3: { name: 'O₃', color: '#8b5cf6', initial: 40, families: ['Ox'] },
+    NO: { name: 'NO', color: '#ef4444', initial: 0.5, families: ['NOx', 'NOy'] },
+    NO2: { name: 'NO₂', color: '#f97316', initial: 0.5, families: ['NOx', 'Ox', 'NOy'] },
+    CH3O2: { name: 'CH₃O₂', color: '#84cc16', initial: 0.01, families: ['C'] },
+    CH2O: { name: 'CH₂O', color: '#14b8a6', initial: 1, families: ['C'] },
+    // Reservoirs and short-lived intermediates
+    HNO3: { name: 'HNO₃', color: '#fb7185', initial: 1, families: ['NOy'] },
+    NO3: { name: 'NO₃', color: '#be123c', initial: 0, families: ['NOy', 'Ox'] },
+    N2O5: { name: 'N₂O₅', color: '#881337', initial: 0, families: ['NOy'] },
+    H2O2: { name: 'H₂O₂', color: '#38bdf8', initial: 1, families: ['HOx'] },
+    O1D: { name: 'O(¹D)', color: '#c084fc', initial: 0, families: ['Ox'] },
+    H: { name: 'H', color: '#fde047', initial: 0, families: ['HOx'] },
+    CH3: { name: 'CH₃', color: '#a3e635', initial: 0, families: ['C'] }
+};
+
+// Initial condition presets (ppb)
+const PRESETS = {
+    background: {
+        CH4: 1800, CO: 100, CO2: 400000, OH: 0.1, HO2: 10,
+        O3: 40, NO: 0.5, NO2: 0.5, CH3O2: 0.01, CH2O: 1,
+        HNO3: 1, NO3: 0, N2O5: 0, H2O2: 1, O1D: 0, H: 0, CH3: 0
+    },
+    polluted: {
+        CH4: 2000, CO: 500, CO2: 450000, OH: 0.05, HO2: 20,
+        O3: 80, NO: 5, NO2: 10, CH3O2: 0.1, CH2O: 5,
+        HNO3: 5, NO3: 0, N2O5: 0, H2O2: 2, O1D: 0, H: 0, CH3: 0
+    },
+    clean: {
+        CH4: 1750, CO: 50, CO2: 400000, OH: 0.2, HO2: 5,
+        O3: 30, NO: 0.1, NO2: 0.1, CH3O2: 0.005, CH2O: 0.5,
+        HNO3: 0.1, NO3: 0, N2O5: 0, H2O2: 0.5, O1D: 0, H: 0, CH3: 0
+    }
+};
+
+// Reaction table
+//   reactants: list (repeat a species for 2nd order in it)
+//   products:  { species: stoichiometric coefficient }
+//   rate:      rate expression, see RATE_TYPES; "fixed" lists untracked
+//              species (O2, N2, H2O, M) whose number density multiplies k
+//   source:    evaluation the rate parameters come from (see SOURCES)
+//   uncertainty: optional { f298, g }, see UNCERTAINTY
+// Bimolecular rate constants are in cm³ molecule⁻¹ s⁻¹.
+const REACTIONS = [
+    {
+        id: 'CH4_OH', reactants: ['CH4', 'OH'], products: { CH3: 1 },
+        rate: { type: 'arrhenius', A: 2.45e-12, EoverR: 1775 },
+        source: 'JPL19', note: 'H₂O product not tracked'
+    },
+    {
+        id: 'CH3_O2', reactants: ['CH3'], products: { CH3O2: 1 },
+        rate: { type: 'troe', k0: 4.0e-31, n: 3.6, kinf: 1.2e-12, m: -1.1, fixed: ['O2'] },
+        source: 'JPL19', note: 'CH₃ + O₂ + M'
+    },
+    {
+        id: 'CH3O2_NO', reactants: ['CH3O2', 'NO'], products: { CH2O: 1, NO2: 1, HO2: 1 },
+        rate: { type: 'arrhenius', A: 2.8e-12, EoverR: -300 },
+        source: 'JPL19', note: 'CH₃O + O₂ → CH₂O + HO₂ is fast and folded in'
+    },
+    {
+        id: 'CH2O_OH', reactants: ['CH2O', 'OH'], products: { CO: 1, HO2: 1 },
+        rate: { type: 'arrhenius', A: 5.5e-12, EoverR: -125 },
+        source: 'JPL19', note: 'HCO + O₂ → CO + HO₂ is fast and folded in'
+    },
+    {
+        id: 'CH2O_photolysis', reactants: ['CH2O'], products: { CO: 1 },
+        rate: { type: 'photolysis', j: 'CH2O_photolysis' },
+        source: 'param', note: 'Molecular channel CH₂O + hν → CO + H₂'
+    },
+    {
+        id: 'CO_OH', reactants: ['CO', 'OH'], products: { CO2: 1, H: 1 },
+        rate: { type: 'chemicalActivation', k0: 1.5e-13, n: -0.6, kinf: 2.1e9, m: -6.1 },
+        source: 'JPL19', note: 'Bimolecular channel via chemically activated HOCO'
+    },
+    {
+        id: 'CO_OH_M', reactants: ['CO', 'OH'], products: { CO2: 1, HO2: 1 },
+        rate: { type: 'troe', k0: 6.9e-33, n: 2.1, kinf: 1.1e-12, m: -1.3 },
+        source: 'JPL19', note: 'Stabilized HOCO; HOCO + O₂ → HO₂ + CO₂ is fast and folded in'
+    },
+    {
+        id: 'H_O2', reactants: ['H'], products: { HO2: 1 },
+        rate: { type: 'troe', k0: 4.4e-32, n: 1.3, kinf: 7.5e-11, m: -0.2, fixed: ['O2'] },
+        source: 'JPL19', note: 'H + O₂ + M'
+    },
+    {
+        id: 'NO_O3', reactants: ['NO', 'O3'], products: { NO2: 1 },
+        rate: { type: 'arrhenius', A: 3.0e-12, EoverR: 1500 },
+        source: 'JPL19'
+    },
+    {
+        id: 'NO2_photolysis', reactants: ['NO2'], products: { NO: 1, O3: 1 },
+        rate: { type: 'photolysis', j: 'NO2_photolysis' },
+        source: 'param', note: 'O + O₂ + M → O₃ + M is fast and folded in'
+    },
+    {
+        id: 'NO2_OH', reactants: ['NO2', 'OH'], products: { HNO3: 1 },
+        rate: { type: 'troe', k0: 1.8e-30, n: 3.0, kinf: 2.8e-11, m: 0 },
+        source: 'JPL19', note: 'OH + NO₂ + M'
+    },
+    {
+        id: 'HO2_NO', reactants: ['HO2', 'NO'], products: { OH: 1, NO2: 1 },
+        rate: { type: 'arrhenius', A: 3.44e-12, EoverR: -260 },
+        source: 'JPL19'
+    },
+    {
+        id: 'O3_photolysis', reactants: ['O3'], products: { O1D: 1 },
+        rate: { type: 'photolysis', j: 'O3_to_O1D' },
+        source: 'param'
+    },
+    {
+        id: 'O1D_H2O', reactants: ['O1D'], products: { OH: 2 },
+        rate: { type: 'arrhenius', A: 1.63e-10, EoverR: -60, fixed: ['H2O'] },
+        source: 'JPL19'
+    },
+    {
+        id: 'O1D_N2', reactants: ['O1D'], products: { O3: 1 },
+        rate: { type: 'arrhenius', A: 2.15e-11, EoverR: -110, fixed: ['N2'] },
+        source: 'JPL19', note: 'Quenching to O(³P); O(³P) + O₂ → O₃ folded in'
+    },
+    {
+        id: 'O1D_O2', reactants: ['O1D'], products: { O3: 1 },
+        rate: { type: 'arrhenius', A: 3.3e-11, EoverR: -55, fixed: ['O2'] },
+        source: 'JPL19', note: 'Quenching to O(³P); O(³P) + O₂ → O₃ folded in'
+    },
+    {
+        id: 'OH_HO2', reactants: ['OH', 'HO2'], products: {},
+        rate: { type: 'arrhenius', A: 4.8e-11, EoverR: -250 },
+        source: 'JPL19', note: 'H₂O + O₂ products not tracked'
+    },
+    {
+        id: 'HO2_HO2', reactants: ['HO2', 'HO2'], products: { H2O2: 1 },
+        rate: { type: 'arrhenius', A: 3.0e-13, EoverR: -460 },
+        source: 'JPL19', note: 'Bimolecular channel'
+    },
+    {
+        id: 'HO2_HO2_M', reactants: ['HO2', 'HO2'], products: { H2O2: 1 },
+        rate: { type: 'arrhenius', A: 2.1e-33, EoverR: -920, fixed: ['M'] },
+        source: 'JPL19', note: 'Termolecular channel'
+    },
+    {
+        id: 'H2O2_photolysis', reactants: ['H2O2'], products: { OH: 2 },
+        rate: { type: 'photolysis', j: 'H2O2_photolysis' },
+        source: 'param'
+    },
+    {
+        id: 'H2O2_OH', reactants: ['H2O2', 'OH'], products: { HO2: 1 },
+        rate: { type: 'arrhenius', A: 1.8e-12, EoverR: 0 },
+        source: 'JPL19', note: 'H₂O product not tracked'
+    }
+];
+
+// Nighttime chemistry: NO3 builds up from NO2 + O3 once photolysis stops
+// and stores NOx as N2O5, which hydrolyses to HNO3 on aerosol
+const NO3_REACTIONS = [
+    {
+        id: 'NO2_O3', reactants: ['NO2', 'O3'], products: { NO3: 1 },
+        rate: { type: 'arrhenius', A: 1.2e-13, EoverR: 2450 },
+        source: 'JPL19'
+    },
+    {
+        id: 'NO3_NO', reactants: ['NO3', 'NO'], products: { NO2: 2 },
+        rate: { type: 'arrhenius', A: 1.7e-11, EoverR: -125 },
+        source: 'JPL19'
+    },
+    {
+        id: 'NO3_photolysis_NO2', reactants: ['NO3'], products: { NO2: 1, O3: 1 },
+        rate: { type: 'photolysis', j: 'J6' },
+        source: 'MCM', note: 'O(³P) + O₂ → O₃ folded in'
+    },
+    {
+        id: 'NO3_photolysis_NO', reactants: ['NO3'], products: { NO: 1 },
+        rate: { type: 'photolysis', j: 'J5' },
+        source: 'MCM', note: 'O₂ product not tracked'
+    }
+];
+
+// NO2 + NO3 + M ⇌ N2O5 + M
+const NO2_NO3_RATE = { type: 'troe', k0: 2.4e-30, n: 3.0, kinf: 1.6e-12, m: -0.1 };
+
+const N2O5_REACTIONS = [
+    {
+        id: 'NO2_NO3', reactants: ['NO2', 'NO3'], products: { N2O5: 1 },
+        rate: NO2_NO3_RATE,
+        source: 'JPL19'
+    },
+    {
+        id: 'N2O5_decomposition', reactants: ['N2O5'], products: { NO2: 1, NO3: 1 },
+        rate: { type: 'equilibrium', forward: NO2_NO3_RATE, A: 5.8e-27, B: 10840 },
+        source: 'JPL19', note: 'Thermal decomposition from the equilibrium constant'
+    }
+];
+
+const NIGHTTIME_REACTIONS = NO3_REACTIONS.concat(N2O5_REACTIONS, [
+    {
+        id: 'NO3_CH2O', reactants: ['NO3', 'CH2O'], products: { HNO3: 1, HO2: 1, CO: 1 },
+        rate: { type: 'arrhenius', A: 2.0e-12, EoverR: 2440 },
+        source: 'IUPAC', note: 'HCO + O₂ → CO + HO₂ is fast and folded in'
+    },
+    {
+        id: 'NO3_HO2', reactants: ['NO3', 'HO2'], products: { OH: 1, NO2: 1 },
+        rate: { type: 'arrhenius', A: 3.5e-12, EoverR: 0 },
+        source: 'JPL19', note: 'O₂ product not tracked'
+    },
+    {
+        id: 'N2O5_H2O', reactants: ['N2O5'], products: { HNO3: 2 },
+        rate: { type: 'arrhenius', A: 2.5e-22, EoverR: 0, fixed: ['H2O'] },
+        source: 'IUPAC', note: 'Gas-phase hydrolysis'
+    },
+    {
+        id: 'N2O5_hydrolysis', reactants: ['N2O5'], products: { HNO3: 2 },
+        rate: { type: 'uptake', gamma: 0.02, molarMass: 0.108, diffusivity: 0.085 },
+        source: 'IUPAC', note: 'On aerosol, γ = 0.02; the surface area is a model setting'
+    }
+]);
+
+REACTIONS.push(...NIGHTTIME_REACTIONS);
+
+// Uptake on the model aerosol (see uptakeRate); diffusivity is the
+// gas-phase diffusion coefficient in air (cm² s⁻¹ at 298 K, 1013 hPa)
+const AEROSOL_REACTIONS = [
+    {
+        id: 'HO2_uptake', reactants: ['HO2'], products: { H2O2: 0.5 },
+        rate: { type: 'uptake', gamma: 0.2, molarMass: 0.033, diffusivity: 0.25 },
+        source: 'Jacob00', note: 'Dissolved HO₂ self-reacts to H₂O₂'
+    },
+    {
+        id: 'HNO3_uptake', reactants: ['HNO3'], products: {},
+        rate: { type: 'uptake', gamma: 0.1, molarMass: 0.063, diffusivity: 0.118 },
+        source: 'Jacob00', note: 'Particulate nitrate not tracked'
+    },
+    {
+        id: 'O3_uptake', reactants: ['O3'], products: {},
+        rate: { type: 'uptake', gamma: 1e-5, molarMass: 0.048, diffusivity: 0.144 },
+        source: 'Jacob00', note: 'Slow except on dust and soot'
+    }
+];
+
+REACTIONS.push(...AEROSOL_REACTIONS);
+
+// References for the "source" field of reactions
+const SOURCES = {
+    JPL19: 'Burkholder, J. B. et al. (2019), Chemical Kinetics and Photochemical Data for ' +
+        'Use in Atmospheric Studies, Evaluation No. 19, JPL Publication 19-5',
+    IUPAC: 'IUPAC Task Group on Atmospheric Chemical Kinetic Data Evaluation, ' +
+        'https://iupac.aeris-data.fr',
+    MCM: 'Master Chemical Mechanism v3.3.1, Jenkin et al. (2015), Atmos. Chem. Phys. 15, 11433',
+    Paulot09: 'Paulot, F. et al. (2009), Unexpected epoxide formation in the gas-phase ' +
+        'photooxidation of isoprene, Science 325, 730',
+    lumped: 'Lumped rate of this model\'s reduced mechanism (see the note)',
+    param: 'Simple J = J0·cos(SZA)^n parameterization of this model',
+    stratJ: 'Stratospheric J-values of this model against the overhead column, after ' +
+        'Brasseur, G. P. and Solomon, S. (2005), Aeronomy of the Middle Atmosphere, 3rd ed.',
+    Jacob00: 'Jacob, D. J. (2000), Heterogeneous chemistry and tropospheric ozone, ' +
+        'Atmos. Environ. 34, 2131; diffusivities after Tang, M. J. et al. (2014), Atmos. Chem. Phys. 14, 9233',
+    marsJ: 'Mars J-values of this model (see atmos-photolysis.js), after Nair, H. et al. (1994), ' +
+        'A photochemical model of the Martian atmosphere, Icarus 111, 124'
+};
+
+const BUILTIN_MECHANISM = {
+    id: 'builtin',
+    name: 'CH₄-CO-NOₓ (built-in)',
+    species: SPECIES,
+    presets: PRESETS,
+    reactions: REACTIONS
+};
+
+// ==========================================
+// BUILT-IN MECHANISM: STRATOSPHERE
+// ==========================================
+
+// Chapman chemistry with the NOx, HOx and ClOx catalytic cycles, for
+// 1-100 hPa and 200-270 K. O2, N2, M and H2O are fixed; CH4 and N2O are
+// the sources of HOx and NOy.
+const STRATOSPHERE_SPECIES = {
+    O3: { name: 'O₃', color: '#8b5cf6', initial: 7000, families: ['Ox'] },
+    O: { name: 'O(³P)', color: '#a78bfa', initial: 0, families: ['Ox'] },
+    O1D: { name: 'O(¹D)', color: '#c084fc', initial: 0, families: ['Ox'] },
+    NO: { name: 'NO', color: '#ef4444', initial: 3, families: ['NOx', 'NOy'] },
+    NO2: { name: 'NO₂', color: '#f97316', initial: 3, families: ['NOx', 'Ox', 'NOy'] },
+    HNO3: { name: 'HNO₃', color: '#fb7185', initial: 6, families: ['NOy'] },
+    N2O: { name: 'N₂O', color: '#fda4af', initial: 120, families: ['NOy'] },
+    CH4: { name: 'CH₄', color: '#3b82f6', initial: 1100, families: ['HOx'] },
+    OH: { name: 'OH', color: '#ec4899', initial: 0, families: ['HOx'] },
+    HO2: { name: 'HO₂', color: '#06b6d4', initial: 0, families: ['HOx'] },
+    Cl: { name: 'Cl', color: '#a3e635', initial: 0, families: ['Cl'] },
+    ClO: { name: 'ClO', color: '#4ade80', initial: 0.1, families: ['Cl', 'Ox'] },
+    HCl: { name: 'HCl', color: '#86efac', initial: 2.2, families: ['Cl'] },
+    ClONO2: { name: 'ClONO₂', color: '#bef264', initial: 0.8, families: ['Cl', 'NOy'] }
+};
+
+// Initial conditions near 10 hPa (ppb)
+const STRATOSPHERE_PRESETS = {
+    // Present-day chlorine loading
+    background: {
+        O3: 7000, O: 0, O1D: 0, NO: 3, NO2: 3, HNO3: 6, N2O: 120, CH4: 1100,
+        OH: 0, HO2: 0, Cl: 0, ClO: 0.1, HCl: 2.2, ClONO2: 0.8
+    },
+    // No ozone yet: watch the Chapman layer form
+    polluted: {
+        O3: 0, O: 0, O1D: 0, NO: 3, NO2: 3, HNO3: 6, N2O: 120, CH4: 1100,
+        OH: 0, HO2: 0, Cl: 0, ClO: 0.1, HCl: 2.2, ClONO2: 0.8
+    },
+    // Natural chlorine only (CH3Cl), before the CFCs
+    clean: {
+        O3: 7000, O: 0, O1D: 0, NO: 3, NO2: 3, HNO3: 6, N2O: 120, CH4: 1100,
+        OH: 0, HO2: 0, Cl: 0, ClO: 0.02, HCl: 0.4, ClONO2: 0.15
+    }
+};
+
+const STRATOSPHERE_REACTIONS = [
+    // Chapman
+    {
+        id: 'O2_photolysis', reactants: [], products: { O: 2 }, equation: 'O₂ + hν → 2 O(³P)',
+        rate: { type: 'stratosphericPhotolysis', j: 'O2', fixed: ['O2'] },
+        source: 'stratJ', note: 'Schumann-Runge bands and Herzberg continuum (λ < 242 nm)'
+    },
+    {
+        id: 'O_O2', reactants: ['O'], products: { O3: 1 },
+        rate: { type: 'termolecular', k0: 6.1e-34, n: 2.4, fixed: ['O2'] },
+        source: 'JPL19', note: 'O + O₂ + M'
+    },
+    {
+        id: 'O3_photolysis_O', reactants: ['O3'], products: { O: 1 },
+        rate: { type: 'stratosphericPhotolysis', j: 'O3_to_O' },
+        source: 'stratJ', note: 'Chappuis and Huggins bands; O₂ product not tracked'
+    },
+    {
+        id: 'O3_photolysis_O1D', reactants: ['O3'], products: { O1D: 1 },
+        rate: { type: 'stratosphericPhotolysis', j: 'O3_to_O1D' },
+        source: 'stratJ', note: 'Hartley band'
+    },
+    {
+        id: 'O1D_N2', reactants: ['O1D'], products: { O: 1 },
+        rate: { type: 'arrhenius', A: 2.15e-11, EoverR: -110, fixed: ['N2'] },
+        source: 'JPL19'
+    },
+    {
+        id: 'O1D_O2', reactants: ['O1D'], products: { O: 1 },
+        rate: { type: 'arrhenius', A: 3.3e-11, EoverR: -55, fixed: ['O2'] },
+        source: 'JPL19'
+    },
+    {
+        id: 'O_O3', reactants: ['O', 'O3'], products: {},
+        rate: { type: 'arrhenius', A: 8.0e-12, EoverR: 2060 },
+        source: 'JPL19', note: 'O + O₃ → 2 O₂'
+    },
+    // NOx cycle
+    {
+        id: 'NO_O3', reactants: ['NO', 'O3'], products: { NO2: 1 },
+        rate: { type: 'arrhenius', A: 3.0e-12, EoverR: 1500 },
+        source: 'JPL19'
+    },
+    {
+        id: 'NO2_O', reactants: ['NO2', 'O'], products: { NO: 1 },
+        rate: { type: 'arrhenius', A: 5.1e-12, EoverR: -210 },
+        source: 'JPL19', note: 'With NO + O₃ the catalytic cycle O + O₃ → 2 O₂'
+    },
+    {
+        id: 'NO2_photolysis', reactants: ['NO2'], products: { NO: 1, O: 1 },
+        rate: { type: 'stratosphericPhotolysis', j: 'NO2' },
+        source: 'stratJ'
+    },
+    {
+        id: 'NO2_OH', reactants: ['NO2', 'OH'], products: { HNO3: 1 },
+        rate: { type: 'troe', k0: 1.8e-30, n: 3.0, kinf: 2.8e-11, m: 0 },
+        source: 'JPL19', note: 'OH + NO₂ + M'
+    },
+    {
+        id: 'HNO3_photolysis', reactants: ['HNO3'], products: { OH: 1, NO2: 1 },
+        rate: { type: 'stratosphericPhotolysis', j: 'HNO3' },
+        source: 'stratJ'
+    },
+    {
+        id: 'N2O_O1D', reactants: ['N2O', 'O1D'], products: { NO: 2 },
+        rate: { type: 'arrhenius', A: 7.26e-11, EoverR: -20 },
+        source: 'JPL19', note: 'NO channel (61%), the stratospheric source of NOy'
+    },
+    {
+        id: 'N2O_O1D_N2', reactants: ['N2O', 'O1D'], products: {},
+        rate: { type: 'arrhenius', A: 4.63e-11, EoverR: -20 },
+        source: 'JPL19', note: 'N₂ + O₂ channel'
+    },
+    {
+        id: 'N2O_photolysis', reactants: ['N2O'], products: { O1D: 1 },
+        rate: { type: 'stratosphericPhotolysis', j: 'N2O' },
+        source: 'stratJ', note: 'N₂ product not tracked'
+    },
+    // HOx cycle
+    {
+        id: 'O1D_H2O', reactants: ['O1D'], products: { OH: 2 },
+        rate: { type: 'arrhenius', A: 1.63e-10, EoverR: -60, fixed: ['H2O'] },
+        source: 'JPL19'
+    },
+    {
+        id: 'O1D_CH4', reactants: ['O1D', 'CH4'], products: { OH: 1 },
+        rate: { type: 'arrhenius', A: 1.31e-10, EoverR: 0 },
+        source: 'JPL19', note: 'OH + CH₃ channel (75%); CH₃ not tracked'
+    },
+    {
+        id: 'CH4_OH', reactants: ['CH4', 'OH'], products: {},
+        rate: { type: 'arrhenius', A: 2.45e-12, EoverR: 1775 },
+        source: 'JPL19', note: 'CH₃ oxidation chain not tracked'
+    },
+    {
+        id: 'OH_O3', reactants: ['OH', 'O3'], products: { HO2: 1 },
+        rate: { type: 'arrhenius', A: 1.7e-12, EoverR: 940 },
+        source: 'JPL19'
+    },
+    {
+        id: 'HO2_O3', reactants: ['HO2', 'O3'], products: { OH: 1 },
+        rate: { type: 'arrhenius', A: 1.0e-14, EoverR: 490 },
+        source: 'JPL19', note: 'With OH + O₃ the catalytic cycle 2 O₃ → 3 O₂'
+    },
+    {
+        id: 'OH_O', reactants: ['OH', 'O'], products: { HO2: 1 },
+        rate: { type: 'arrhenius', A: 1.8e-11, EoverR: -180 },
+        source: 'JPL19', note: 'H + O₂ + M → HO₂ is fast and folded in'
+    },
+    {
+        id: 'HO2_O', reactants: ['HO2', 'O'], products: { OH: 1 },
+        rate: { type: 'arrhenius', A: 3.0e-11, EoverR: -200 },
+        source: 'JPL19'
+    },
+    {
+        id: 'OH_HO2', reactants: ['OH', 'HO2'], products: {},
+        rate: { type: 'arrhenius', A: 4.8e-11, EoverR: -250 },
+        source: 'JPL19', note: 'H₂O + O₂ products not tracked'
+    },
+    {
+        id: 'HO2_NO', reactants: ['HO2', 'NO'], products: { OH: 1, NO2: 1 },
+        rate: { type: 'arrhenius', A: 3.44e-12, EoverR: -260 },
+        source: 'JPL19'
+    },
+    // ClOx cycle
+    {
+        id: 'Cl_O3', reactants: ['Cl', 'O3'], products: { ClO: 1 },
+        rate: { type: 'arrhenius', A: 2.3e-11, EoverR: 200 },
+        source: 'JPL19'
+    },
+    {
+        id: 'ClO_O', reactants: ['ClO', 'O'], products: { Cl: 1 },
+        rate: { type: 'arrhenius', A: 2.8e-11, EoverR: -85 },
+        source: 'JPL19', note: 'With Cl + O₃ the catalytic cycle O + O₃ → 2 O₂'
+    },
+    {
+        id: 'ClO_NO', reactants: ['ClO', 'NO'], products: { Cl: 1, NO2: 1 },
+        rate: { type: 'arrhenius', A: 6.4e-12, EoverR: -290 },
+        source: 'JPL19'
+    },
+    {
+        id: 'Cl_CH4', reactants: ['Cl', 'CH4'], products: { HCl: 1 },
+        rate: { type: 'arrhenius', A: 7.1e-12, EoverR: 1270 },
+        source: 'JPL19', note: 'Converts active Cl to the HCl reservoir; CH₃ not tracked'
+    },
+    {
+        id: 'HCl_OH', reactants: ['HCl', 'OH'], products: { Cl: 1 },
+        rate: { type: 'arrhenius', A: 1.8e-12, EoverR: 250 },
+        source: 'JPL19', note: 'H₂O product not tracked'
+    },
+    {
+        id: 'ClO_NO2', reactants: ['ClO', 'NO2'], products: { ClONO2: 1 },
+        rate: { type: 'troe', k0: 1.8e-31, n: 3.4, kinf: 1.5e-11, m: 1.9 },
+        source: 'JPL19', note: 'ClO + NO₂ + M: the ClONO₂ reservoir couples ClOx and NOx'
+    },
+    {
+        id: 'ClONO2_photolysis', reactants: ['ClONO2'], products: { Cl: 1, NO2: 1, O: 1 },
+        rate: { type: 'stratosphericPhotolysis', j: 'ClONO2' },
+        source: 'stratJ', note: 'Cl + NO₃ channel; NO₃ + hν → NO₂ + O is fast and folded in'
+    }
+];
+
+const STRATOSPHERE_MECHANISM = {
+    id: 'stratosphere',
+    name: 'Stratosphere: Chapman + NOₓ/HOₓ/ClOₓ (built-in)',
+    species: STRATOSPHERE_SPECIES,
+    presets: STRATOSPHERE_PRESETS,
+    reactions: STRATOSPHERE_REACTIONS
+};
+
+// ==========================================
+// BUILT-IN MECHANISM: MARS
+// ==========================================
+
+// CO2 photolysis balanced by HOx-catalysed recombination of CO and O
+// (Nair et al., 1994), for ~6 hPa and 150-250 K. CO2 and O2 are tracked
+// rather than fixed, so only M and H2O appear as fixed species. CO2 is
+// a 2.5 times better third body than N2 (Nair et al., 1994).
+const MARS_SPECIES = {
+    CO2: { name: 'CO₂', color: '#6b7280', initial: 9.51e8, families: ['COx'] },
+    CO: { name: 'CO', color: '#f59e0b', initial: 7.47e5, families: ['COx'] },
+    O2: { name: 'O₂', color: '#60a5fa', initial: 1.74e6, families: ['Ox'] },
+    O: { name: 'O(³P)', color: '#a78bfa', initial: 0, families: ['Ox'] },
+    O3: { name: 'O₃', color: '#8b5cf6', initial: 30, families: ['Ox'] },
+    H: { name: 'H', color: '#f472b6', initial: 0, families: ['HOx'] },
+    OH: { name: 'OH', color: '#ec4899', initial: 0, families: ['HOx'] },
+    HO2: { name: 'HO₂', color: '#06b6d4', initial: 0, families: ['HOx'] },
+    H2O2: { name: 'H₂O₂', color: '#14b8a6', initial: 20, families: ['HOx'] }
+};
+
+// Near-surface mixing ratios (ppb)
+const MARS_PRESETS = {
+    // Gale crater, Curiosity SAM (Franz et al., 2017)
+    background: { CO2: 9.51e8, CO: 7.47e5, O2: 1.74e6, O: 0, O3: 30, H: 0, OH: 0, HO2: 0, H2O2: 20 },
+    // Pure CO2 with no photolysis products: watch CO and O2 build up
+    polluted: { CO2: 9.51e8, CO: 0, O2: 0, O: 0, O3: 0, H: 0, OH: 0, HO2: 0, H2O2: 0 },
+    // Cold, dry aphelion season with more O3 and less HOx
+    clean: { CO2: 9.51e8, CO: 7.47e5, O2: 1.74e6, O: 0, O3: 150, H: 0, OH: 0, HO2: 0, H2O2: 5 }
+};
+
+const MARS_REACTIONS = [
+    // Photolysis
+    {
+        id: 'CO2_photolysis', reactants: ['CO2'], products: { CO: 1, O: 1 },
+        rate: { type: 'photolysis', j: 'CO2_photolysis' },
+        source: 'marsJ', note: 'λ < 205 nm, strongly shielded by the CO₂ column above'
+    },
+    {
+        id: 'O2_photolysis', reactants: ['O2'], products: { O: 2 },
+        rate: { type: 'photolysis', j: 'O2_photolysis' },
+        source: 'marsJ', note: 'Herzberg continuum'
+    },
+    {
+        id: 'O3_photolysis', reactants: ['O3'], products: { O2: 1, O: 1 },
+        rate: { type: 'photolysis', j: 'O3_photolysis' },
+        source: 'marsJ', note: 'O(¹D) is quenched to O(³P) by CO₂ and folded in'
+    },
+    {
+        id: 'H2O_photolysis', reactants: [], products: { H: 1, OH: 1 }, equation: 'H₂O + hν → H + OH',
+        rate: { type: 'photolysis', j: 'H2O_photolysis', fixed: ['H2O'] },
+        source: 'marsJ', note: 'The HOx source'
+    },
+    {
+        id: 'H2O2_photolysis', reactants: ['H2O2'], products: { OH: 2 },
+        rate: { type: 'photolysis', j: 'H2O2_photolysis' },
+        source: 'marsJ'
+    },
+    // Odd oxygen
+    {
+        id: 'O_O_M', reactants: ['O', 'O'], products: { O2: 1 },
+        rate: { type: 'arrhenius', A: 6.9e-34, EoverR: -720, fixed: ['M'] },
+        source: 'JPL19', note: 'O + O + M, CO₂ third body'
+    },
+    {
+        id: 'O_O2_M', reactants: ['O', 'O2'], products: { O3: 1 },
+        rate: { type: 'termolecular', k0: 1.5e-33, n: 2.4 },
+        source: 'JPL19', note: 'O + O₂ + M, CO₂ third body'
+    },
+    {
+        id: 'O_O3', reactants: ['O', 'O3'], products: { O2: 2 },
+        rate: { type: 'arrhenius', A: 8.0e-12, EoverR: 2060 },
+        source: 'JPL19'
+    },
+    {
+        id: 'CO_O_M', reactants: ['CO', 'O'], products: { CO2: 1 },
+        rate: { type: 'arrhenius', A: 2.2e-33, EoverR: 1780, fixed: ['M'] },
+        source: 'JPL19', note: 'Spin-forbidden and far too slow to hold CO down on its own'
+    },
+    // HOx catalysis: CO + OH → CO2 + H, H + O2 + M → HO2, HO2 + O → OH + O2
+    {
+        id: 'CO_OH', reactants: ['CO', 'OH'], products: { CO2: 1, H: 1 },
+        rate: { type: 'chemicalActivation', k0: 1.5e-13, n: -0.6, kinf: 2.1e9, m: -6.1 },
+        source: 'JPL19', note: 'Net with H + O₂ and HO₂ + O: CO + O → CO₂'
+    },
+    {
+        id: 'H_O2_M', reactants: ['H', 'O2'], products: { HO2: 1 },
+        rate: { type: 'troe', k0: 1.1e-31, n: 1.3, kinf: 7.5e-11, m: -0.2 },
+        source: 'JPL19', note: 'H + O₂ + M, CO₂ third body'
+    },
+    {
+        id: 'O_HO2', reactants: ['O', 'HO2'], products: { OH: 1, O2: 1 },
+        rate: { type: 'arrhenius', A: 3.0e-11, EoverR: -200 },
+        source: 'JPL19'
+    },
+    {
+        id: 'O_OH', reactants: ['O', 'OH'], products: { O2: 1, H: 1 },
+        rate: { type: 'arrhenius', A: 1.8e-11, EoverR: -180 },
+        source: 'JPL19'
+    },
+    {
+        id: 'H_O3', reactants: ['H', 'O3'], products: { OH: 1, O2: 1 },
+        rate: { type: 'arrhenius', A: 1.4e-10, EoverR: 470 },
+        source: 'JPL19'
+    },
+    {
+        id: 'OH_O3', reactants: ['OH', 'O3'], products: { HO2: 1, O2: 1 },
+        rate: { type: 'arrhenius', A: 1.7e-12, EoverR: 940 },
+        source: 'JPL19'
+    },
+    {
+        id: 'HO2_O3', reactants: ['HO2', 'O3'], products: { OH: 1, O2: 2 },
+        rate: { type: 'arrhenius', A: 1.0e-14, EoverR: 490 },
+        source: 'JPL19'
+    },
+    // HOx loss and H2O2
+    {
+        id: 'H_HO2', reactants: ['H', 'HO2'], products: { OH: 2 },
+        rate: { type: 'arrhenius', A: 7.2e-11, EoverR: 0 },
+        source: 'JPL19', note: '2 OH channel'
+    },
+    {
+        id: 'H_HO2_H2', reactants: ['H', 'HO2'], products: { O2: 1 },
+        rate: { type: 'arrhenius', A: 6.9e-12, EoverR: 0 },
+        source: 'JPL19', note: 'H₂ + O₂ channel; H₂ not tracked'
+    },
+    {
+        id: 'OH_HO2', reactants: ['OH', 'HO2'], products: { O2: 1 },
+        rate: { type: 'arrhenius', A: 4.8e-11, EoverR: -250 },
+        source: 'JPL19', note: 'H₂O product not tracked'
+    },
+    {
+        id: 'HO2_HO2', reactants: ['HO2', 'HO2'], products: { H2O2: 1, O2: 1 },
+        rate: { type: 'arrhenius', A: 3.0e-13, EoverR: -460 },
+        source: 'JPL19'
+    },
+    {
+        id: 'H2O2_OH', reactants: ['H2O2', 'OH'], products: { HO2: 1 },
+        rate: { type: 'arrhenius', A: 1.8e-12, EoverR: 0 },
+        source: 'JPL19', note: 'H₂O product not tracked'
+    }
+];
+
+const MARS_MECHANISM = {
+    id: 'mars',
+    name: 'Mars: CO₂-O₂-HOₓ (built-in)',
+    species: MARS_SPECIES,
+    presets: MARS_PRESETS,
+    reactions: MARS_REACTIONS
+};
+
+// ==========================================
+// RATE EXPRESSIONS
+// ==========================================
+
+// Rate expression forms follow JPL 19-5 (Section 2 of the evaluation);
+// IUPAC uses the same forms. Temperatures in K, [M] in molecules cm⁻³.
+
+// Arrhenius equation: k = A exp(-(E/R)/T), E/R in K
+function arrhenius(A, EoverR, T) {
+    return A * Math.exp(-EoverR / T);
+}
+
+// Low- or high-pressure limit k(T) = k300 (T/300)^-n
+function powerLaw(k300, n, T) {
+    return k300 * Math.pow(T / 300, -n);
+}
+
+// Troe falloff for association reactions A + B (+M) → AB (+M):
+// k = k0[M]/(1 + k0[M]/k∞) · Fc^(1/(1 + log10(k0[M]/k∞)²)), Fc = 0.6 by default
+function troe(rate, T, M) {
+    const k0M = powerLaw(rate.k0, rate.n, T) * M;
+    const kinf = powerLaw(rate.kinf, rate.m, T);
+    return troeFalloff(k0M, kinf, rate.Fc === undefined ? 0.6 : rate.Fc);
+}
+
+// Chemical activation A + B → [AB]* → C + D, the complement of the
+// falloff above: k = k0/(1 + k0[M]/k∞) · Fc^(1/(1 + log10(k0[M]/k∞)²))
+// with k0 in cm³ molecule⁻¹ s⁻¹ and k∞ in s⁻¹
+function chemicalActivation(rate, T, M) {
+    const k0M = powerLaw(rate.k0, rate.n, T) * M;
+    const kinf = powerLaw(rate.kinf, rate.m, T);
+    return troeFalloff(k0M, kinf, rate.Fc === undefined ? 0.6 : rate.Fc) / M;
+}
+
+// Equilibrium constant K(T) = A exp(B/T) in cm³ molecule⁻¹
+function equilibriumConstant(rate, T) {
+    return rate.A * Math.exp(rate.B / T);
+}
+
+// MCM photolysis parameters, J = l·cos(χ)^m·exp(-n·sec χ) in s⁻¹,
+// keyed by MCM J number (MCM v3.3.1; Saunders et al., 2003)
+const MCM_PHOTOLYSIS = {
+    1: { l: 6.073e-5, m: 1.743, n: 0.474 }, // O3 → O(¹D)
+    2: { l: 4.775e-4, m: 0.298, n: 0.080 }, // O3 → O(³P)
+    3: { l: 1.041e-5, m: 0.723, n: 0.279 }, // H2O2 → 2 OH
+    4: { l: 1.165e-2, m: 0.244, n: 0.267 }, // NO2 → NO + O(³P)
+    5: { l: 2.485e-2, m: 0.168, n: 0.108 }, // NO3 → NO + O2
+    6: { l: 1.747e-1, m: 0.155, n: 0.125 }, // NO3 → NO2 + O(³P)
+    7: { l: 2.644e-3, m: 0.261, n: 0.288 }, // HONO → OH + NO
+    8: { l: 9.312e-7, m: 1.230, n: 0.307 }, // HNO3 → OH + NO2
+    11: { l: 4.642e-5, m: 0.762, n: 0.353 }, // HCHO → H + HCO
+    12: { l: 6.853e-5, m: 0.477, n: 0.323 }, // HCHO → H2 + CO
+    13: { l: 7.344e-6, m: 1.202, n: 0.417 }, // CH3CHO → CH3 + HCO
+    41: { l: 7.649e-6, m: 0.682, n: 0.279 } // CH3OOH → CH3O + OH
+};
+
+function mcmJValue(number, sza) {
+    const params = MCM_PHOTOLYSIS[number];
+    const cosSza = Math.cos(sza * Math.PI / 180);
+    if (!params || cosSza <= 0) return 0;
+    return params.l * Math.pow(cosSza, params.m) * Math.exp(-params.n / cosSza);
+}
+
+// Calculate photolysis rate (J-value)
+function calculateJValue(reaction, sza) {
+    // MCM numbered photolysis, e.g. 'J4' from an imported mechanism
+    const mcm = /^J(\d+)$/.exec(reaction);
+    if (mcm) return mcmJValue(Number(mcm[1]), sza);
+    
+    // sza in degrees
+    const szaRad = sza * Math.PI / 180;
+    const cosSza = Math.max(0, Math.cos(szaRad));
+    
+    // Simple parameterization: J = J0 * cos(sza)^n
+    const jValues = {
+        'NO2_photolysis': { j0: 8e-3, n: 1.0 },
+        'O3_to_O1D': { j0: 3e-5, n: 1.5 },
+        'CH2O_photolysis': { j0: 5e-5, n: 1.2 },
+        'H2O2_photolysis': { j0: 8e-6, n: 1.0 },
+        // Halogen reservoirs absorb in the near UV/visible, so their
+        // J-values fall off slowly with SZA (rough clear-sky surface values)
+        'Cl2_photolysis': { j0: 2.6e-3, n: 0.7 },
+        'ClNO2_photolysis': { j0: 4e-4, n: 1.0 },
+        'HOCl_photolysis': { j0: 3e-4, n: 0.9 },
+        'Br2_photolysis': { j0: 4.5e-2, n: 0.4 },
+        'BrO_photolysis': { j0: 4e-2, n: 0.5 },
+        'HOBr_photolysis': { j0: 2.5e-3, n: 0.6 },
+        'BrNO3_photolysis': { j0: 1.2e-3, n: 0.7 }
+    };
+    
+    const params = jValues[reaction];
+    if (!params) return 0;
+    
+    return params.j0 * Math.pow(cosSza, params.n);
+}
+
+// Stratospheric J-values (s⁻¹) for an overhead sun against the air
+// column above (hPa); the far-UV J(O2) and J(O¹D) fall off steeply as
+// the column thickens. Rough values after Brasseur & Solomon (2005,
+// ch. 4), interpolated in log J and log p.
+const STRATOSPHERIC_J = {
+    column: [0.1, 1, 3, 10, 30, 100, 300, 1000],
+    O2: [3e-9, 1.2e-9, 5e-10, 8e-11, 6e-12, 1e-13, 1e-15, 1e-18],
+    O3_to_O: [5e-4, 5e-4, 4.9e-4, 4.8e-4, 4.7e-4, 4.5e-4, 4e-4, 3.5e-4],
+    O3_to_O1D: [9e-3, 8e-3, 6e-3, 2.5e-3, 4e-4, 6e-5, 3e-5, 2e-5],
+    NO2: [1.2e-2, 1.2e-2, 1.15e-2, 1.1e-2, 1.05e-2, 1e-2, 9.5e-3, 8.5e-3],
+    HNO3: [2e-4, 1.5e-4, 8e-5, 3e-5, 8e-6, 2e-6, 1e-6, 7e-7],
+    N2O: [5e-6, 2e-6, 8e-7, 2e-7, 3e-8, 2e-9, 1e-11, 1e-13],
+    ClONO2: [2e-4, 1.5e-4, 1.2e-4, 9e-5, 6e-5, 4e-5, 3e-5, 2e-5]
+};
+
+// J at pressure P (hPa): a slanting sun sees the column P/cos(χ)
+function stratosphericJValue(name, P, sza) {
+    const values = STRATOSPHERIC_J[name];
+    const cosSza = Math.cos(sza * Math.PI / 180);
+    if (!values || cosSza <= 0) return 0;
+    const nodes = STRATOSPHERIC_J.column;
+    const column = Math.min(Math.max(P / cosSza, nodes[0]), nodes[nodes.length - 1]);
+    let i = 0;
+    while (i < nodes.length - 2 && nodes[i + 1] < column) i++;
+    const w = Math.log(column / nodes[i]) / Math.log(nodes[i + 1] / nodes[i]);
+    return Math.exp((1 - w) * Math.log(values[i]) + w * Math.log(values[i + 1]));
+}
+
+// Air number density (molecules/cm³) at T (K) and P (hPa)
+function airDensity(T, P) {
+    return P * 100 / (R * T) * NA * 1e-6;
+}
+
+// Saturation vapour pressure over liquid water (hPa) at T (K), Bolton (1980)
+function saturationVapourPressure(T) {
+    return 6.112 * Math.exp(17.67 * (T - 273.15) / (T - 29.65));
+}
+
+// H2O volume mixing ratio (mol/mol) at relative humidity rh (%)
+function waterMixingRatio(T, P, rh) {
+    return rh / 100 * saturationVapourPressure(T) / P;
+}
+
+// Relative humidity (%) used when no water vapour is given
+const DEFAULT_RH = 50;
+
+// Aerosol used when none is given: surface area density (µm² cm⁻³)
+// and effective particle radius (µm), typical of continental
+// boundary-layer air
+const DEFAULT_AEROSOL = { area: 100, radius: 0.1 };
+
+// Mean molecular speed (m/s) of a gas of molar mass (kg/mol) at T (K)
+function molecularSpeed(T, molarMass) {
+    return Math.sqrt(8 * R * T / (Math.PI * molarMass));
+}
+
+// Gas-phase diffusion coefficient (cm² s⁻¹) at T (K) and P (hPa) from
+// its value at 298 K and 1013.25 hPa
+function gasDiffusivity(diffusivity, T, P) {
+    return diffusivity * Math.pow(T / 298, 1.75) * 1013.25 / P;
+}
+
+// First-order uptake rate (s⁻¹) on aerosol, k = A / (r/Dg + 4/(γ·c̄)):
+// diffusion to the particle in series with the surface reaction.
+// Without a diffusivity only the free-molecular term k = γ·c̄·A/4 is used.
+function uptakeRate(gamma, molarMass, T, aerosol, P, diffusivity) {
+    const area = aerosol.area * 1e-8; // µm² cm⁻³ → cm² cm⁻³
+    const speed = molecularSpeed(T, molarMass) * 100; // cm/s
+    if (!(gamma > 0)) return 0;
+    let resistance = 4 / (gamma * speed);
+    if (diffusivity) resistance += aerosol.radius * 1e-4 / gasDiffusivity(diffusivity, T, P);
+    return area / resistance;
+}
+
+// Rate constant of one rate expression (cm³ molecule⁻¹ s⁻¹ for
+// bimolecular, s⁻¹ for first order). h2o is the H2O mixing ratio
+// (mol/mol), aerosol the particles { area, radius } for uptake.
+const RATE_TYPES = {
+    constant: (rate) => rate.k,
+    // { A, EoverR }
+    arrhenius: (rate, T) => arrhenius(rate.A, rate.EoverR || 0, T),
+    // { k0, n }: low-pressure limit k0 (T/300)^-n [M], with M folded in
+    termolecular: (rate, T, P) => powerLaw(rate.k0, rate.n, T) * airDensity(T, P),
+    // { k0, n, kinf, m, Fc }
+    troe: (rate, T, P) => troe(rate, T, airDensity(T, P)),
+    // { k0, n, kinf, m, Fc }
+    chemicalActivation: (rate, T, P) => chemicalActivation(rate, T, airDensity(T, P)),
+    // { forward, A, B }: the reverse (decomposition) of a forward rate
+    // expression, k = k_forward / K(T)
+    equilibrium: (rate, T, P, sza, h2o, jValue, aerosol) =>
+        evaluateRate(rate.forward, T, P, sza, h2o, jValue, aerosol) / equilibriumConstant(rate, T),
+    // { j }: J-value name, looked up through jValue (e.g. a J table,
+    // see atmos-photolysis.js) or the parameterization above
+    photolysis: (rate, T, P, sza, h2o, jValue) => jValue ? jValue(rate.j) : calculateJValue(rate.j, sza),
+    // { j }: name in STRATOSPHERIC_J, set by the pressure instead of a J table
+    stratosphericPhotolysis: (rate, T, P, sza) => stratosphericJValue(rate.j, P, sza),
+    // { gamma, molarMass (kg/mol), diffusivity (cm² s⁻¹, optional) }:
+    // heterogeneous loss on the aerosol
+    uptake: (rate, T, P, sza, h2o, jValue, aerosol = DEFAULT_AEROSOL) =>
+        uptakeRate(rate.gamma, rate.molarMass, T, aerosol, P, rate.diffusivity),
+    // Free-form expression from an imported mechanism, compiled by compileMechanism()
+    expression: (rate, T, P, sza, h2o, jValue) => rate.evaluate(expressionScope(T, P, sza, h2o, jValue))
+};
+
+// jValue is optional: a function from J-value name to s⁻¹
+function evaluateRate(rate, T, P, sza, h2o, jValue, aerosol) {
+    let k = RATE_TYPES[rate.type](rate, T, P, sza, h2o, jValue, aerosol);
+    if (rate.fixed) {
+        // Pseudo-first order in untracked species, e.g. CH3 + O2
+        const scope = expressionScope(T, P, sza, h2o);
+        rate.fixed.forEach(name => { k *= scope[name]; });
+    }
+    return k;
+}
+
+// ==========================================
+// RATE UNCERTAINTY
+// ==========================================
+
+// JPL-style uncertainty of a rate constant: f(298) is the factor that
+// spans about one standard deviation at 298 K, and it widens away from
+// 298 K as f(T) = f(298)·exp|g·(1/T − 1/298)|. Built-in reactions,
+// after JPL 19-5 (rounded) and IUPAC (f = 10^Δlog k); a reaction may
+// also carry its own { f298, g } as "uncertainty".
+const UNCERTAINTY = {
+    CH4_OH: { f298: 1.1, g: 100 },
+    CH3_O2: { f298: 1.2, g: 50 },
+    CH3O2_NO: { f298: 1.15, g: 100 },
+    CH2O_OH: { f298: 1.15, g: 50 },
+    CO_OH: { f298: 1.1, g: 100 },
+    CO_OH_M: { f298: 1.1, g: 100 },
+    H_O2: { f298: 1.1, g: 50 },
+    NO_O3: { f298: 1.1, g: 200 },
+    NO2_OH: { f298: 1.15, g: 50 },
+    HO2_NO: { f298: 1.15, g: 50 },
+    O1D_H2O: { f298: 1.1, g: 50 },
+    O1D_N2: { f298: 1.1, g: 20 },
+    O1D_O2: { f298: 1.1, g: 20 },
+    OH_HO2: { f298: 1.15, g: 50 },
+    HO2_HO2: { f298: 1.15, g: 100 },
+    HO2_HO2_M: { f298: 1.2, g: 100 },
+    H2O2_OH: { f298: 1.15, g: 50 },
+    NO2_O3: { f298: 1.15, g: 150 },
+    NO3_NO: { f298: 1.3, g: 100 },
+    NO2_NO3: { f298: 1.2, g: 100 },
+    N2O5_decomposition: { f298: 1.3, g: 200 },
+    NO3_CH2O: { f298: 2.0, g: 500 },
+    NO3_HO2: { f298: 1.5, g: 300 },
+    N2O5_H2O: { f298: 3.0, g: 0 },
+    // The simple cos(SZA) J-values stand in for a radiative transfer model
+    NO2_photolysis: { f298: 1.2, g: 0 },
+    O3_photolysis: { f298: 1.3, g: 0 },
+    CH2O_photolysis: { f298: 1.3, g: 0 },
+    H2O2_photolysis: { f298: 1.3, g: 0 },
+    // Uptake coefficients are known to a factor of a few at best
+    HO2_uptake: { f298: 5, g: 0 },
+    HNO3_uptake: { f298: 3, g: 0 },
+    O3_uptake: { f298: 10, g: 0 }
+};
+
+// For reactions without an entry, by rate type
+const DEFAULT_UNCERTAINTY = {
+    photolysis: { f298: 1.3, g: 0 },
+    stratosphericPhotolysis: { f298: 1.3, g: 0 },
+    uptake: { f298: 3, g: 0 },
+    expression: { f298: 1.5, g: 100 },
+    constant: { f298: 1.5, g: 0 },
+    thermal: { f298: 1.3, g: 100 }
+};
+
+// { f298, g } of a compiled reaction
+function reactionUncertainty(rxn) {
+    return rxn.uncertainty || UNCERTAINTY[rxn.id] || DEFAULT_UNCERTAINTY[rxn.rate.type] ||
+        DEFAULT_UNCERTAINTY.thermal;
+}
+
+// Uncertainty factor f(T) of a compiled reaction at T (K)
+function uncertaintyFactor(rxn, T) {
+    const { f298, g } = reactionUncertainty(rxn);
+    return f298 * Math.exp(Math.abs(g * (1 / T - 1 / 298)));
+}
+
+// ==========================================
+// RATE EXPRESSION LANGUAGE
+// ==========================================
+
+// Imported mechanisms give rates as Fortran-style expressions, e.g.
+// "2.7D-12*EXP(360/TEMP)", "KMT01*0.5" or "J<4>". They are parsed once
+// into closures over the scope below; "@", "**" and "^" are powers.
+
+// Untracked species with a fixed number density
+const FIXED_SPECIES = ['M', 'O2', 'N2', 'H2O'];
+
+// Temperature (K) and number densities (molecules cm⁻³) seen by expressions
+function expressionScope(T, P, sza, h2o, jValue) {
+    const M = airDensity(T, P);
+    if (h2o === undefined) h2o = waterMixingRatio(T, P, DEFAULT_RH);
+    return {
+        TEMP: T,
+        M: M,
+        O2: 0.2095 * M,
+        N2: 0.7809 * M,
+        H2O: h2o * M,
+        SZA: sza,
+        // Lower case, so not reachable as a name (names are upper-cased)
+        jValue: jValue
+    };
+}
+
+// Functions callable from expressions: [number of arguments, implementation]
+// ARR...TROE follow the KPP rate-law library (util/UserRateLaws)
+const EXPRESSION_FUNCTIONS = {
+    EXP: [1, (s, x) => Math.exp(x)],
+    LOG: [1, (s, x) => Math.log(x)],
+    LOG10: [1, (s, x) => Math.log10(x)],
+    SQRT: [1, (s, x) => Math.sqrt(x)],
+    ABS: [1, (s, x) => Math.abs(x)],
+    MIN: [2, (s, a, b) => Math.min(a, b)],
+    MAX: [2, (s, a, b) => Math.max(a, b)],
+    // A0·exp(-B0/T)·(T/300)^C0
+    ARR: [3, (s, A0, B0, C0) => A0 * Math.exp(-B0 / s.TEMP) * Math.pow(s.TEMP / 300, C0)],
+    ARR2: [2, (s, A0, B0) => A0 * Math.exp(-B0 / s.TEMP)],
+    // k0 + k3[M]/(1 + k3[M]/k2), e.g. OH + HNO3
+    EP2: [6, (s, A0, C0, A2, C2, A3, C3) => {
+        const k0 = A0 * Math.exp(-C0 / s.TEMP);
+        const k2 = A2 * Math.exp(-C2 / s.TEMP);
+        const k3 = A3 * Math.exp(-C3 / s.TEMP) * s.M;
+        return k0 + k3 / (1 + k3 / k2);
+    }],
+    // k1 + k2[M], e.g. OH + CO
+    EP3: [4, (s, A1, C1, A2, C2) => A1 * Math.exp(-C1 / s.TEMP) + A2 * Math.exp(-C2 / s.TEMP) * s.M],
+    // Falloff between ARR(A0,B0,C0)[M] and ARR(A1,B1,C1) with broadening CF
+    FALL: [7, (s, A0, B0, C0, A1, B1, C1, CF) => {
+        const k0 = A0 * Math.exp(-B0 / s.TEMP) * Math.pow(s.TEMP / 300, C0) * s.M;
+        const kinf = A1 * Math.exp(-B1 / s.TEMP) * Math.pow(s.TEMP / 300, C1);
+        return troeFalloff(k0, kinf, CF);
+    }],
+    // Falloff with k0 = k0_300 (300/T)^n [M] and kinf = kinf_300 (300/T)^m
+    TROE: [5, (s, k0300, n, kinf300, m, fc) =>
+        troeFalloff(k0300 * Math.pow(300 / s.TEMP, n) * s.M, kinf300 * Math.pow(300 / s.TEMP, m), fc)],
+    // MCM photolysis number, also written J<n>
+    J: [1, (s, n) => s.jValue ? s.jValue('J' + n) : mcmJValue(n, s.SZA)]
+};
+
+// k0/(1 + k0/kinf) · Fc^(1/(1 + log10(k0/kinf)²))
+function troeFalloff(k0, kinf, fc) {
+    const ratio = k0 / kinf;
+    return k0 / (1 + ratio) * Math.pow(fc, 1 / (1 + Math.pow(Math.log10(ratio), 2)));
+}
+
+function tokenizeExpression(source) {
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eEdD][-+]?\d+)?|\.\d+(?:[eEdD][-+]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*\/@^(),<>]))/y;
+    const tokens = [];
+    let match;
+    while (pattern.lastIndex < source.length && source.slice(pattern.lastIndex).trim()) {
+        const at = pattern.lastIndex;
+        match = pattern.exec(source);
+        if (!match) {
+            const bad = source.slice(at).trim()[0];
+            throw new Error(`Unexpected "${bad}" in rate expression "${source}"`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1].replace(/[dD]/, 'e')) });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'name', value: match[2].toUpperCase() });
+        } else {
+            tokens.push({ type: 'op', value: match[3] });
+        }
+    }
+    return tokens;
+}
+
+// Compile an expression into scope => value. Names resolve to the scope
+// variables above or to named definitions (e.g. MCM "KMT01"), which may
+// refer to each other.
+function compileRateExpression(source, definitions = {}) {
+    const named = {};
+    Object.keys(definitions).forEach(name => { named[name.toUpperCase()] = definitions[name]; });
+    const compiled = {};
+    const resolving = new Set();
+    
+    const resolveName = name => {
+        if (name in expressionScope(298, 1000, 0)) return s => s[name];
+        if (named[name] === undefined) throw new Error(`Unknown name "${name}" in rate expression`);
+        if (!compiled[name]) {
+            if (resolving.has(name)) throw new Error(`Definition "${name}" refers to itself`);
+            resolving.add(name);
+            compiled[name] = parse(String(named[name]));
+            resolving.delete(name);
+        }
+        const fn = compiled[name];
+        return s => fn(s);
+    };
+    
+    function parse(text) {
+        const tokens = tokenizeExpression(text);
+        let pos = 0;
+        const peek = () => tokens[pos] || { type: 'end', value: 'end of expression' };
+        const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().value);
+        const expect = value => {
+            if (!isOp(value)) throw new Error(`Expected "${value}" but found "${peek().value}" in "${text}"`);
+            pos++;
+        };
+        
+        // sum := product (('+' | '-') product)*
+        const sum = () => {
+            let left = product();
+            while (isOp('+', '-')) {
+                const op = tokens[pos++].value;
+                const a = left, b = product();
+                left = op === '+' ? s => a(s) + b(s) : s => a(s) - b(s);
+            }
+            return left;
+        };
+        
+        // product := unary (('*' | '/') unary)*
+        const product = () => {
+            let left = unary();
+            while (isOp('*', '/')) {
+                const op = tokens[pos++].value;
+                const a = left, b = unary();
+                left = op === '*' ? s => a(s) * b(s) : s => a(s) / b(s);
+            }
+            return left;
+        };
+        
+        // unary := ('-' | '+') unary | power;  -a**b is -(a**b) as in Fortran
+        const unary = () => {
+            if (isOp('-')) {
+                pos++;
+                const a = unary();
+                return s => -a(s);
+            }
+            if (isOp('+')) {
+                pos++;
+                return unary();
+            }
+            return power();
+        };
+        
+        // power := primary (('@' | '**' | '^') unary)?
+        const power = () => {
+            const base = primary();
+            if (!isOp('@', '**', '^')) return base;
+            pos++;
+            const exponent = unary();
+            return s => Math.pow(base(s), exponent(s));
+        };
+        
+        const primary = () => {
+            const token = peek();
+            if (token.type === 'number') {
+                pos++;
+                const value = token.value;
+                return () => value;
+            }
+            if (isOp('(')) {
+                pos++;
+                const inner = sum();
+                expect(')');
+                return inner;
+            }
+            if (token.type !== 'name') throw new Error(`Unexpected "${token.value}" in "${text}"`);
+            pos++;
+            
+            // FACSIMILE photolysis tag J<n>
+            if (token.value === 'J' && isOp('<')) {
+                pos++;
+                const n = peek();
+                if (n.type !== 'number') throw new Error(`Expected a photolysis number after "J<" in "${text}"`);
+                pos++;
+                expect('>');
+                return callFunction('J', [() => n.value]);
+            }
+            if (isOp('(')) {
+                pos++;
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(sum());
+                    while (isOp(',')) {
+                        pos++;
+                        args.push(sum());
+                    }
+                }
+                expect(')');
+                return callFunction(token.value, args);
+            }
+            return resolveName(token.value);
+        };
+        
+        const callFunction = (name, args) => {
+            const entry = EXPRESSION_FUNCTIONS[name];
+            if (!entry) throw new Error(`Unknown function "${name}" in rate expression`);
+            if (args.length !== entry[0]) {
+                throw new Error(`${name}() takes ${entry[0]} argument(s), got ${args.length}`);
+            }
+            if (name === 'J') {
+                // Constant photolysis numbers are checked against the table now
+                const n = args[0]({});
+                if (!MCM_PHOTOLYSIS[n]) throw new Error(`No photolysis parameters for J(${n})`);
+            }
+            const fn = entry[1];
+            return s => fn(s, ...args.map(arg => arg(s)));
+        };
+        
+        const result = sum();
+        if (pos < tokens.length) throw new Error(`Unexpected "${peek().value}" in "${text}"`);
+        return result;
+    }
+    
+    return parse(String(source));
+}
+
+// Photolysis reactions show "+ hν" and label network arrows with hν
+function isPhotolysis(rate) {
+    return rate.type === 'photolysis' || rate.type === 'stratosphericPhotolysis' ||
+        (rate.type === 'expression' && /\bJ\s*[(<]/i.test(rate.expression));
+}
+
+// ==========================================
+// MECHANISM COMPILER
+// ==========================================
+
+// Equation text from species display names, e.g. "CH₄ + OH → CH₃O₂"
+function formatEquation(reaction, species) {
+    const name = sp => (species[sp] ? species[sp].name : sp);
+    const lhs = reaction.reactants.map(name).join(' + ') +
+        (isPhotolysis(reaction.rate) ? ' + hν' : '');
+    const rhs = Object.keys(reaction.products).map(sp => {
+        const coeff = reaction.products[sp];
+        return (coeff === 1 ? '' : coeff + ' ') + name(sp);
+    }).join(' + ');
+    return `${lhs} → ${rhs || 'products'}`;
+}
+
+// Validate a mechanism definition and precompute the stoichiometry
+function compileMechanism(def) {
+    const species = def.species;
+    const ids = new Set();
+    
+    const reactions = def.reactions.map(rxn => {
+        if (ids.has(rxn.id)) throw new Error(`Duplicate reaction id "${rxn.id}"`);
+        ids.add(rxn.id);
+        if (!RATE_TYPES[rxn.rate.type]) {
+            throw new Error(`Reaction ${rxn.id}: unknown rate type "${rxn.rate.type}"`);
+        }
+        (rxn.rate.fixed || []).forEach(name => {
+            if (!FIXED_SPECIES.includes(name)) {
+                throw new Error(`Reaction ${rxn.id}: "${name}" cannot be a fixed species`);
+            }
+        });
+        if (rxn.rate.type === 'equilibrium' && !RATE_TYPES[(rxn.rate.forward || {}).type]) {
+            throw new Error(`Reaction ${rxn.id}: equilibrium needs a forward rate expression`);
+        }
+        let rate = rxn.rate;
+        if (rate.type === 'expression') {
+            try {
+                rate = Object.assign({}, rate, {
+                    evaluate: compileRateExpression(rate.expression, def.definitions)
+                });
+            } catch (err) {
+                throw new Error(`Reaction ${rxn.id}: ${err.message}`);
+            }
+        }
+        
+        // Net stoichiometry: products minus reactants
+        const net = {};
+        rxn.reactants.forEach(sp => {
+            if (!species[sp]) throw new Error(`Reaction ${rxn.id}: unknown reactant "${sp}"`);
+            net[sp] = (net[sp] || 0) - 1;
+        });
+        Object.keys(rxn.products).forEach(sp => {
+            if (!species[sp]) throw new Error(`Reaction ${rxn.id}: unknown product "${sp}"`);
+            if (!(rxn.products[sp] > 0)) {
+                throw new Error(`Reaction ${rxn.id}: product "${sp}" needs a positive coefficient`);
+            }
+            net[sp] = (net[sp] || 0) + rxn.products[sp];
+        });
+        
+        // Reactant orders, e.g. HO2 + HO2 → { HO2: 2 }
+        const orders = {};
+        rxn.reactants.forEach(sp => { orders[sp] = (orders[sp] || 0) + 1; });
+        
+        return Object.assign({}, rxn, {
+            rate: rate,
+            equation: rxn.equation || formatEquation(rxn, species),
+            order: rxn.reactants.length,
+            orders: orders,
+            net: Object.keys(net).filter(sp => net[sp] !== 0).map(sp => [sp, net[sp]])
+        });
+    });
+    
+    const index = {};
+    reactions.forEach((rxn, i) => { index[rxn.id] = i; });
+    
+    return {
+        id: def.id,
+        name: def.name,
+        species: species,
+        presets: def.presets || {},
+        definitions: def.definitions || {},
+        reactions: reactions,
+        index: index
+    };
+}
+
+// Rate constants in the reaction table's own units (see REACTIONS)
+function rateConstants(mechanism, T, P, sza, h2o, jValue, aerosol) {
+    return mechanism.reactions.map(rxn => evaluateRate(rxn.rate, T, P, sza, h2o, jValue, aerosol));
+}
+
+// Rate coefficients for concentrations in ppb: an n-th order rate
+// constant is scaled by (molecules cm⁻³ per ppb)^(n-1)
+function rateCoefficients(mechanism, T, P, sza, h2o, jValue, aerosol) {
+    const ppbToMolec = airDensity(T, P) * 1e-9;
+    const k = rateConstants(mechanism, T, P, sza, h2o, jValue, aerosol);
+    return mechanism.reactions.map((rxn, i) => k[i] * Math.pow(ppbToMolec, rxn.order - 1));
+}
+
+// Rate of every reaction (ppb/s)
+function reactionRates(mechanism, c, k) {
+    return mechanism.reactions.map((rxn, i) => {
+        let r = k[i];
+        rxn.reactants.forEach(sp => { r *= c[sp]; });
+        return r;
+    });
+}
+
+// ODE right-hand side: dc/dt (ppb/s) from chemistry alone
+function speciesTendencies(mechanism, c, k) {
+    const dcdt = {};
+    Object.keys(mechanism.species).forEach(sp => { dcdt[sp] = 0; });
+    
+    const rates = reactionRates(mechanism, c, k);
+    mechanism.reactions.forEach((rxn, i) => {
+        rxn.net.forEach(([sp, nu]) => { dcdt[sp] += nu * rates[i]; });
+    });
+    return dcdt;
+}
+
+// Analytic Jacobian J[i][j] = ∂(dc_i/dt)/∂c_j (1/s)
+function jacobian(mechanism, c, k) {
+    const sp = Object.keys(mechanism.species);
+    const J = {};
+    sp.forEach(row => {
+        J[row] = {};
+        sp.forEach(col => { J[row][col] = 0; });
+    });
+    
+    mechanism.reactions.forEach((rxn, i) => {
+        Object.keys(rxn.orders).forEach(wrt => {
+            // ∂rate/∂c_wrt for mass-action kinetics
+            let d = k[i] * rxn.orders[wrt] * Math.pow(c[wrt], rxn.orders[wrt] - 1);
+            Object.keys(rxn.orders).forEach(other => {
+                if (other !== wrt) d *= Math.pow(c[other], rxn.orders[other]);
+            });
+            rxn.net.forEach(([row, nu]) => { J[row][wrt] += nu * d; });
+        });
+    });
+    return J;
+}
+
+// Network arrows: reactant → product for species sharing a family,
+// labelled with the co-reactants (or hν). Reactions with no such pair
+// fall back to first reactant → each product. Arrows between the same
+// pair of species are merged.
+function networkArrows(mechanism) {
+    const species = mechanism.species;
+    const families = sp => species[sp].families || [];
+    const arrows = {};
+    
+    const addArrow = (from, to, label) => {
+        const key = from + '>' + to;
+        if (!arrows[key]) arrows[key] = { from: from, to: to, labels: [] };
+        if (label && !arrows[key].labels.includes(label)) arrows[key].labels.push(label);
+    };
+    
+    mechanism.reactions.forEach(rxn => {
+        const products = Object.keys(rxn.products);
+        const labelFor = from => {
+            const others = rxn.reactants.filter(sp => sp !== from).map(sp => species[sp].name);
+            if (isPhotolysis(rxn.rate)) others.push('hν');
+            return others.join('+');
+        };
+        
+        let drawn = false;
+        rxn.reactants.forEach(from => {
+            products.forEach(to => {
+                if (from === to) return;
+                if (families(from).some(f => families(to).includes(f))) {
+                    addArrow(from, to, labelFor(from));
+                    drawn = true;
+                }
+            });
+        });
+        
+        if (!drawn && rxn.reactants.length > 0) {
+            const from = rxn.reactants[0];
+            products.forEach(to => {
+                if (from !== to) addArrow(from, to, labelFor(from));
+            });
+        }
+    });
+    
+    return Object.keys(arrows).map(key => ({
+        from: arrows[key].from,
+        to: arrows[key].to,
+        label: arrows[key].labels.join('/')
+    }));
+}
+
+const BUILTIN = compileMechanism(BUILTIN_MECHANISM);
+const STRATOSPHERE = compileMechanism(STRATOSPHERE_MECHANISM);
+const MARS = compileMechanism(MARS_MECHANISM);
+
+return {
+    R, NA, M_AIR,
+    SPECIES, PRESETS, REACTIONS, NO3_REACTIONS, N2O5_REACTIONS, AEROSOL_REACTIONS, SOURCES, BUILTIN_MECHANISM, BUILTIN,
+    STRATOSPHERE_MECHANISM, STRATOSPHERE, STRATOSPHERIC_J, stratosphericJValue,
+    MARS_MECHANISM, MARS,
+    arrhenius, powerLaw, troe, chemicalActivation, equilibriumConstant, FIXED_SPECIES,
+    calculateJValue, mcmJValue, MCM_PHOTOLYSIS, airDensity, evaluateRate, RATE_TYPES,
+    UNCERTAINTY, DEFAULT_UNCERTAINTY, reactionUncertainty, uncertaintyFactor,
+    saturationVapourPressure, waterMixingRatio, DEFAULT_RH, DEFAULT_AEROSOL, molecularSpeed, gasDiffusivity, uptakeRate,
+    expressionScope, compileRateExpression, EXPRESSION_FUNCTIONS, isPhotolysis,
+    formatEquation, compileMechanism, rateConstants, rateCoefficients,
+    reactionRates, speciesTendencies, jacobian, networkArrows
+};
+});
@@ -0,0 +1,443 @@
+// ==========================================
+// ATMOSPHERIC CHEMISTRY SIMULATOR
+// Optional chemistry modules
+// A module adds species and reactions to a base mechanism
+// (the built-in CH4-CO-NOx chemistry or an imported one); the merged
+// mechanism is compiled like any other (see atmos-mechanism.js).
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./atmos-mechanism.js'));
+    } else {
+        root.AtmosModules = factory(root.AtmosMechanism);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Mechanism) {
+
+// MCM v3.3.1 generic RO2 rates: RO2 + NO, and RO2 + HO2 for a C5 (0.706)
+// and C4 (0.625) peroxy radical
+const KRO2NO = { type: 'arrhenius', A: 2.7e-12, EoverR: -360 };
+const KRO2HO2_C5 = { type: 'arrhenius', A: 2.06e-13, EoverR: -1300 };
+const KRO2HO2_C4 = { type: 'arrhenius', A: 1.82e-13, EoverR: -1300 };
+
+// ==========================================
+// NO3 RADICAL
+// ==========================================
+
+// NO3 formation and loss and the N2O5 equilibrium, as in the built-in
+// mechanism; modules bring them along for imported mechanisms without NO3
+const NO3_SPECIES = { NO3: Mechanism.SPECIES.NO3 };
+
+const N2O5_SPECIES = { N2O5: Mechanism.SPECIES.N2O5 };
+
+const { NO3_REACTIONS, N2O5_REACTIONS } = Mechanism;
+
+// ==========================================
+// ISOPRENE
+// ==========================================
+
+// Reduced isoprene oxidation after MCM v3.3.1, with the hydroxy peroxy
+// radicals (ISOPO2), the nitrooxy peroxy radicals (NISOPO2) and the
+// MVK/MACR peroxy radicals (MVKO2) each lumped into one species.
+const ISOPRENE_SPECIES = {
+    ISOP: { name: 'C₅H₈', color: '#15803d', initial: 0, families: ['C'] },
+    ISOPO2: { name: 'ISOPO₂', color: '#4d7c0f', initial: 0, families: ['C'] },
+    ISOPOOH: { name: 'ISOPOOH', color: '#65a30d', initial: 0, families: ['C', 'HOx'] },
+    NISOPO2: { name: 'NISOPO₂', color: '#9f1239', initial: 0, families: ['C', 'NOy'] },
+    ISOPN: { name: 'ISOPN', color: '#e11d48', initial: 0, families: ['C', 'NOy'] },
+    MVK: { name: 'MVK', color: '#0f766e', initial: 0, families: ['C'] },
+    MACR: { name: 'MACR', color: '#0e7490', initial: 0, families: ['C'] },
+    MVKO2: { name: 'MVKO₂', color: '#155e75', initial: 0, families: ['C'] }
+};
+
+const ISOPRENE_REACTIONS = [
+    {
+        id: 'ISOP_OH', reactants: ['ISOP', 'OH'], products: { ISOPO2: 1 },
+        rate: { type: 'arrhenius', A: 2.7e-11, EoverR: -390 },
+        source: 'IUPAC', note: 'OH addition followed by O₂ addition'
+    },
+    {
+        id: 'ISOP_O3', reactants: ['ISOP', 'O3'],
+        products: { MACR: 0.39, MVK: 0.16, CH2O: 0.8, OH: 0.27, HO2: 0.26, CO: 0.2 },
+        rate: { type: 'arrhenius', A: 1.03e-14, EoverR: 1995 },
+        source: 'IUPAC', note: 'Condensed Criegee intermediate yields; products of the MCM scheme'
+    },
+    {
+        id: 'ISOP_NO3', reactants: ['ISOP', 'NO3'], products: { NISOPO2: 1 },
+        rate: { type: 'arrhenius', A: 3.15e-12, EoverR: 450 },
+        source: 'IUPAC', note: 'Main nighttime isoprene sink'
+    },
+    {
+        id: 'ISOPO2_NO', reactants: ['ISOPO2', 'NO'],
+        products: { NO2: 0.9, HO2: 0.9, CH2O: 0.6, MVK: 0.35, MACR: 0.23, ISOPN: 0.1 },
+        rate: KRO2NO,
+        source: 'MCM', note: '10% forms hydroxy nitrates; the remaining C5 hydroxycarbonyls are not tracked'
+    },
+    {
+        id: 'ISOPO2_HO2', reactants: ['ISOPO2', 'HO2'], products: { ISOPOOH: 1 },
+        rate: KRO2HO2_C5,
+        source: 'MCM'
+    },
+    {
+        id: 'ISOPOOH_OH', reactants: ['ISOPOOH', 'OH'], products: { OH: 1 },
+        rate: { type: 'arrhenius', A: 1.9e-11, EoverR: -390 },
+        source: 'Paulot09', note: 'Epoxide (IEPOX) formation returns OH; IEPOX not tracked'
+    },
+    {
+        id: 'ISOPOOH_photolysis', reactants: ['ISOPOOH'],
+        products: { OH: 1, HO2: 1, CH2O: 1, MVK: 0.6, MACR: 0.4 },
+        rate: { type: 'photolysis', j: 'J41' },
+        source: 'MCM', note: 'Hydroperoxide photolysis at the CH₃OOH rate'
+    },
+    {
+        id: 'NISOPO2_NO', reactants: ['NISOPO2', 'NO'], products: { NO2: 1, HO2: 1, ISOPN: 1 },
+        rate: KRO2NO,
+        source: 'MCM', note: 'ISOPN here lumps the C5 carbonyl nitrates'
+    },
+    {
+        id: 'NISOPO2_HO2', reactants: ['NISOPO2', 'HO2'], products: { ISOPN: 1 },
+        rate: KRO2HO2_C5,
+        source: 'MCM', note: 'Nitrooxy hydroperoxide, lumped into ISOPN'
+    },
+    {
+        id: 'NISOPO2_NO3', reactants: ['NISOPO2', 'NO3'], products: { NO2: 1, HO2: 1, ISOPN: 1 },
+        rate: { type: 'arrhenius', A: 2.3e-12, EoverR: 0 },
+        source: 'MCM'
+    },
+    {
+        id: 'ISOPN_OH', reactants: ['ISOPN', 'OH'], products: { NO2: 0.4, HO2: 0.4, CH2O: 0.4, MVK: 0.3 },
+        rate: { type: 'arrhenius', A: 1.3e-11, EoverR: 0 },
+        source: 'lumped', note: '40% of the nitrogen is returned as NOx; the rest stays in untracked second-generation nitrates'
+    },
+    {
+        id: 'MVK_OH', reactants: ['MVK', 'OH'], products: { MVKO2: 1 },
+        rate: { type: 'arrhenius', A: 2.6e-12, EoverR: -610 },
+        source: 'IUPAC'
+    },
+    {
+        id: 'MACR_OH', reactants: ['MACR', 'OH'], products: { MVKO2: 1 },
+        rate: { type: 'arrhenius', A: 8.0e-12, EoverR: -380 },
+        source: 'IUPAC', note: 'Addition and abstraction channels lumped into MVKO₂'
+    },
+    {
+        id: 'MVKO2_NO', reactants: ['MVKO2', 'NO'], products: { NO2: 1, HO2: 1, CH2O: 0.6, CO: 0.6 },
+        rate: KRO2NO,
+        source: 'MCM', note: 'Methylglyoxal and glycolaldehyde not tracked'
+    },
+    {
+        id: 'MVKO2_HO2', reactants: ['MVKO2', 'HO2'], products: {},
+        rate: KRO2HO2_C4,
+        source: 'MCM', note: 'Hydroperoxides not tracked'
+    }
+];
+
+// Light- and temperature-dependent emission factor of Guenther et al. (1993):
+// about 1 at a PAR of 1000 µmol m⁻² s⁻¹ and 303 K
+const GUENTHER = { alpha: 0.0027, cL1: 1.066, cT1: 95000, cT2: 230000, Ts: 303, Tm: 314 };
+
+function lightTemperatureFactor(T, par) {
+    const g = GUENTHER;
+    const light = g.alpha * g.cL1 * par / Math.sqrt(1 + g.alpha * g.alpha * par * par);
+    const rt = Mechanism.R * g.Ts * T;
+    const temperature = Math.exp(g.cT1 * (T - g.Ts) / rt) / (1 + Math.exp(g.cT2 * (T - g.Tm) / rt));
+    return light * temperature;
+}
+
+// Clear-sky photosynthetically active radiation (µmol m⁻² s⁻¹) at a
+// solar zenith angle (°), scaled by the cloud/aerosol attenuation factor
+function photosyntheticRadiation(sza, attenuation = 1) {
+    return 2000 * Math.max(0, Math.cos(sza * Math.PI / 180)) * attenuation;
+}
+
+// ==========================================
+// HALOGENS
+// ==========================================
+
+// Reactive chlorine and bromine: Cl as a methane sink, ClNO2 from N2O5
+// on chloride-containing particles, and the BrO/Br ozone destruction
+// cycles with the heterogeneous HOBr + Br⁻ "bromine explosion"
+const HALOGEN_SPECIES = {
+    Cl: { name: 'Cl', color: '#a3e635', initial: 0, families: ['Cl'] },
+    ClO: { name: 'ClO', color: '#4ade80', initial: 0, families: ['Cl', 'Ox'] },
+    HCl: { name: 'HCl', color: '#86efac', initial: 0, families: ['Cl'] },
+    HOCl: { name: 'HOCl', color: '#bbf7d0', initial: 0, families: ['Cl', 'HOx'] },
+    Cl2: { name: 'Cl₂', color: '#d9f99d', initial: 0, families: ['Cl'] },
+    ClNO2: { name: 'ClNO₂', color: '#bef264', initial: 0, families: ['Cl', 'NOy'] },
+    Br: { name: 'Br', color: '#b45309', initial: 0, families: ['Br'] },
+    BrO: { name: 'BrO', color: '#d97706', initial: 0, families: ['Br', 'Ox'] },
+    HBr: { name: 'HBr', color: '#f59e0b', initial: 0, families: ['Br'] },
+    HOBr: { name: 'HOBr', color: '#fbbf24', initial: 0, families: ['Br', 'HOx'] },
+    Br2: { name: 'Br₂', color: '#92400e', initial: 0, families: ['Br'] },
+    BrNO3: { name: 'BrONO₂', color: '#78350f', initial: 0, families: ['Br', 'NOy'] }
+};
+
+const HALOGEN_REACTIONS = [
+    // Chlorine
+    {
+        id: 'Cl_CH4', reactants: ['Cl', 'CH4'], products: { HCl: 1, CH3O2: 1 },
+        rate: { type: 'arrhenius', A: 7.1e-12, EoverR: 1270 },
+        source: 'JPL19', note: 'CH₃ + O₂ → CH₃O₂ is fast and folded in'
+    },
+    {
+        id: 'Cl_O3', reactants: ['Cl', 'O3'], products: { ClO: 1 },
+        rate: { type: 'arrhenius', A: 2.3e-11, EoverR: 200 },
+        source: 'JPL19'
+    },
+    {
+        id: 'Cl_CH2O', reactants: ['Cl', 'CH2O'], products: { HCl: 1, CO: 1, HO2: 1 },
+        rate: { type: 'arrhenius', A: 8.1e-11, EoverR: 30 },
+        source: 'JPL19', note: 'HCO + O₂ → CO + HO₂ is fast and folded in'
+    },
+    {
+        id: 'Cl_HO2', reactants: ['Cl', 'HO2'], products: { HCl: 1 },
+        rate: { type: 'arrhenius', A: 1.4e-11, EoverR: -270 },
+        source: 'JPL19', note: 'O₂ product not tracked'
+    },
+    {
+        id: 'ClO_NO', reactants: ['ClO', 'NO'], products: { Cl: 1, NO2: 1 },
+        rate: { type: 'arrhenius', A: 6.4e-12, EoverR: -290 },
+        source: 'JPL19'
+    },
+    {
+        id: 'ClO_HO2', reactants: ['ClO', 'HO2'], products: { HOCl: 1 },
+        rate: { type: 'arrhenius', A: 2.6e-12, EoverR: -290 },
+        source: 'JPL19'
+    },
+    {
+        id: 'HCl_OH', reactants: ['HCl', 'OH'], products: { Cl: 1 },
+        rate: { type: 'arrhenius', A: 1.8e-12, EoverR: 250 },
+        source: 'JPL19', note: 'H₂O product not tracked'
+    },
+    {
+        id: 'Cl2_photolysis', reactants: ['Cl2'], products: { Cl: 2 },
+        rate: { type: 'photolysis', j: 'Cl2_photolysis' },
+        source: 'param'
+    },
+    {
+        id: 'ClNO2_photolysis', reactants: ['ClNO2'], products: { Cl: 1, NO2: 1 },
+        rate: { type: 'photolysis', j: 'ClNO2_photolysis' },
+        source: 'param', note: 'Releases the Cl stored overnight soon after sunrise'
+    },
+    {
+        id: 'HOCl_photolysis', reactants: ['HOCl'], products: { OH: 1, Cl: 1 },
+        rate: { type: 'photolysis', j: 'HOCl_photolysis' },
+        source: 'param'
+    },
+    // Bromine
+    {
+        id: 'Br_O3', reactants: ['Br', 'O3'], products: { BrO: 1 },
+        rate: { type: 'arrhenius', A: 1.6e-11, EoverR: 780 },
+        source: 'JPL19'
+    },
+    {
+        id: 'BrO_photolysis', reactants: ['BrO'], products: { Br: 1, O3: 1 },
+        rate: { type: 'photolysis', j: 'BrO_photolysis' },
+        source: 'param', note: 'O(³P) + O₂ → O₃ folded in: a null cycle for O₃'
+    },
+    {
+        id: 'BrO_NO', reactants: ['BrO', 'NO'], products: { Br: 1, NO2: 1 },
+        rate: { type: 'arrhenius', A: 8.8e-12, EoverR: -260 },
+        source: 'JPL19'
+    },
+    {
+        id: 'BrO_HO2', reactants: ['BrO', 'HO2'], products: { HOBr: 1 },
+        rate: { type: 'arrhenius', A: 4.5e-12, EoverR: -460 },
+        source: 'JPL19'
+    },
+    {
+        id: 'BrO_BrO', reactants: ['BrO', 'BrO'], products: { Br: 2 },
+        rate: { type: 'arrhenius', A: 2.4e-12, EoverR: -40 },
+        source: 'JPL19', note: 'With Br + O₃ a catalytic cycle destroying 2 O₃'
+    },
+    {
+        id: 'BrO_BrO_Br2', reactants: ['BrO', 'BrO'], products: { Br2: 1 },
+        rate: { type: 'arrhenius', A: 2.8e-14, EoverR: -860 },
+        source: 'JPL19'
+    },
+    {
+        id: 'BrO_NO2', reactants: ['BrO', 'NO2'], products: { BrNO3: 1 },
+        rate: { type: 'troe', k0: 5.4e-31, n: 3.1, kinf: 6.5e-12, m: 2.9 },
+        source: 'JPL19', note: 'BrO + NO₂ + M'
+    },
+    {
+        id: 'Br_HO2', reactants: ['Br', 'HO2'], products: { HBr: 1 },
+        rate: { type: 'arrhenius', A: 4.8e-12, EoverR: 310 },
+        source: 'JPL19', note: 'O₂ product not tracked'
+    },
+    {
+        id: 'Br_CH2O', reactants: ['Br', 'CH2O'], products: { HBr: 1, CO: 1, HO2: 1 },
+        rate: { type: 'arrhenius', A: 1.7e-11, EoverR: 800 },
+        source: 'JPL19', note: 'HCO + O₂ → CO + HO₂ is fast and folded in'
+    },
+    {
+        id: 'HBr_OH', reactants: ['HBr', 'OH'], products: { Br: 1 },
+        rate: { type: 'arrhenius', A: 5.5e-12, EoverR: -200 },
+        source: 'JPL19', note: 'H₂O product not tracked'
+    },
+    {
+        id: 'Br2_photolysis', reactants: ['Br2'], products: { Br: 2 },
+        rate: { type: 'photolysis', j: 'Br2_photolysis' },
+        source: 'param'
+    },
+    {
+        id: 'HOBr_photolysis', reactants: ['HOBr'], products: { OH: 1, Br: 1 },
+        rate: { type: 'photolysis', j: 'HOBr_photolysis' },
+        source: 'param'
+    },
+    {
+        id: 'BrNO3_photolysis', reactants: ['BrNO3'], products: { Br: 1, NO3: 1 },
+        rate: { type: 'photolysis', j: 'BrNO3_photolysis' },
+        source: 'param'
+    }
+];
+
+// Halogen source parameters
+const HALOGEN_SETTINGS = {
+    // Uptake of HOBr and BrONO2 on saline snow and ice (1/h), limited by
+    // transport to the surface: about v_d/h, e.g. 1 cm/s over 200 m ≈ 0.2 h⁻¹
+    snowRecycling: 0,
+    // N2O5 + Cl⁻ → ClNO2 + HNO3; competes with hydrolysis (N2O5_hydrolysis,
+    // γ = 0.02), so the ClNO2 yield is γ/(γ + 0.02)
+    gammaClNO2: 0.02,
+    gammaHOBr: 0.1, // HOBr + Br⁻ → Br2 on saline surfaces
+    gammaBrNO3: 0.3 // BrONO2 hydrolysis to HOBr + HNO3
+};
+
+// Heterogeneous reactions on the model aerosol (see uptakeRate in
+// atmos-mechanism.js), taken to contain chloride and bromide in unlimited
+// supply, and with snowRecycling > 0 for bromine on saline snow and ice
+function halogenUptake(settings) {
+    const reactions = [
+        {
+            id: 'N2O5_chloride', reactants: ['N2O5'], products: { ClNO2: 1, HNO3: 1 },
+            rate: { type: 'uptake', gamma: settings.gammaClNO2, molarMass: 0.108, diffusivity: 0.085 },
+            source: 'lumped', note: 'N₂O₅ + Cl⁻ → ClNO₂ + HNO₃ on aerosol, competing with hydrolysis to 2 HNO₃'
+        },
+        {
+            id: 'HOBr_bromide', reactants: ['HOBr'], products: { Br2: 1 },
+            rate: { type: 'uptake', gamma: settings.gammaHOBr, molarMass: 0.097, diffusivity: 0.1 },
+            source: 'lumped', note: 'HOBr + Br⁻ + H⁺ → Br₂ + H₂O on acidic saline surfaces: each cycle doubles gas-phase Br'
+        },
+        {
+            id: 'BrNO3_hydrolysis', reactants: ['BrNO3'], products: { HOBr: 1, HNO3: 1 },
+            rate: { type: 'uptake', gamma: settings.gammaBrNO3, molarMass: 0.142, diffusivity: 0.08 },
+            source: 'lumped'
+        }
+    ];
+    if (settings.snowRecycling > 0) {
+        const snow = { type: 'constant', k: settings.snowRecycling / 3600 };
+        reactions.push({
+            id: 'HOBr_snow', reactants: ['HOBr'], products: { Br2: 1 }, rate: snow,
+            source: 'lumped', note: 'HOBr + Br⁻ + H⁺ → Br₂ on saline snow and ice'
+        }, {
+            id: 'BrNO3_snow', reactants: ['BrNO3'], products: { HOBr: 1, HNO3: 1 }, rate: snow,
+            source: 'lumped'
+        });
+    }
+    return reactions;
+}
+
+// ==========================================
+// MODULES
+// ==========================================
+
+// requires: species the base mechanism must have for the module to attach.
+// Modules with settings build their reactions from them (defaults in
+// settings, checked by check); retired lists settings that no longer
+// exist, with what to use instead.
+const MODULES = {
+    isoprene: {
+        id: 'isoprene',
+        name: 'Isoprene',
+        description: 'C₅H₈ + OH/O₃/NO₃, ISOPO₂ + NO/HO₂, MVK/MACR, organic nitrates',
+        requires: ['OH', 'HO2', 'NO', 'NO2', 'O3', 'CH2O', 'CO'],
+        species: Object.assign({}, NO3_SPECIES, ISOPRENE_SPECIES),
+        reactions: NO3_REACTIONS.concat(ISOPRENE_REACTIONS)
+    },
+    halogens: {
+        id: 'halogens',
+        name: 'Halogens',
+        description: 'Cl + CH₄, ClNO₂ from N₂O₅, BrO/Br O₃ destruction and bromine explosion',
+        requires: ['OH', 'HO2', 'NO', 'NO2', 'O3', 'CH4', 'CH3O2', 'CH2O', 'CO', 'HNO3'],
+        species: Object.assign({}, NO3_SPECIES, N2O5_SPECIES, HALOGEN_SPECIES),
+        settings: HALOGEN_SETTINGS,
+        retired: {
+            aerosolArea: 'the halogen reactions use the model aerosol; set its area instead ("aerosol": { "area": ... })',
+            gammaN2O5: 'use gammaClNO2, the uptake coefficient of N₂O₅ + Cl⁻ alone',
+            clno2Yield: 'set gammaClNO2 instead: the ClNO₂ yield is gammaClNO2 / (gammaClNO2 + 0.02)'
+        },
+        reactions: settings => NO3_REACTIONS.concat(N2O5_REACTIONS, HALOGEN_REACTIONS, halogenUptake(settings))
+    }
+};
+
+// A module's settings with options merged in and checked
+function moduleSettings(id, options = {}) {
+    const mod = MODULES[id];
+    if (!mod) throw new Error(`Unknown chemistry module "${id}"`);
+    const defaults = mod.settings || {};
+    Object.keys(options).forEach(key => {
+        if (mod.retired && mod.retired[key]) {
+            throw new Error(`${mod.name} module setting "${key}" no longer exists: ${mod.retired[key]}`);
+        }
+        if (!(key in defaults)) throw new Error(`Unknown ${mod.name} module setting "${key}"`);
+        if (typeof options[key] !== 'number' || !(options[key] >= 0)) {
+            throw new Error(`${mod.name} module setting "${key}" must be a non-negative number`);
+        }
+    });
+    const settings = Object.assign({}, defaults, options);
+    if (mod.check) mod.check(settings);
+    return settings;
+}
+
+// Mechanism definition with the modules' species and reactions added;
+// a reaction already present (same id) is not added twice, so modules
+// may share reactions. Module species start at their initial value in
+// every preset of the base mechanism. settings: { module id: options }
+function extendDefinition(base, moduleIds, settings = {}) {
+    const def = {
+        id: base.id,
+        name: base.name,
+        species: Object.assign({}, base.species),
+        presets: base.presets,
+        definitions: base.definitions,
+        reactions: base.reactions.slice()
+    };
+    const ids = new Set(def.reactions.map(rxn => rxn.id));
+    
+    moduleIds.forEach(id => {
+        const mod = MODULES[id];
+        if (!mod) throw new Error(`Unknown chemistry module "${id}"`);
+        const missing = mod.requires.filter(sp => !base.species[sp]);
+        if (missing.length > 0) {
+            throw new Error(`The ${mod.name} module needs ${missing.join(', ')}, which ${base.name} does not have`);
+        }
+        Object.keys(mod.species).forEach(sp => {
+            if (!def.species[sp]) def.species[sp] = mod.species[sp];
+        });
+        const reactions = typeof mod.reactions === 'function'
+            ? mod.reactions(moduleSettings(id, settings[id]))
+            : mod.reactions;
+        reactions.forEach(rxn => {
+            if (ids.has(rxn.id)) return;
+            ids.add(rxn.id);
+            def.reactions.push(rxn);
+        });
+        def.name += ' + ' + mod.name;
+        def.id += '+' + id;
+    });
+    return def;
+}
+
+// Compiled mechanism: the base (definition or compiled) with the modules added
+function extendMechanism(base, moduleIds = [], settings = {}) {
+    if (moduleIds.length === 0) return base.index ? base : Mechanism.compileMechanism(base);
+    return Mechanism.compileMechanism(extendDefinition(base, moduleIds, settings));
+}
+
+return {
+    MODULES, NO3_REACTIONS, N2O5_REACTIONS, ISOPRENE_REACTIONS, HALOGEN_REACTIONS,
+    GUENTHER, HALOGEN_SETTINGS,
+    lightTemperatureFactor, photosyntheticRadiation,
+    moduleSettings, extendDefinition, extendMechanism
+};
+});
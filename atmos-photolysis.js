@@ -0,0 +1,333 @@
+// ==========================================
+// ATMOSPHERIC CHEMISTRY SIMULATOR
+// Photolysis: J-value lookup tables
+// Tables are indexed by solar zenith angle, altitude, total ozone
+// column and surface albedo (as tabulated from TUV runs) and are
+// interpolated every output step.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./atmos-mechanism.js'));
+    } else {
+        root.AtmosPhotolysis = factory(root.AtmosMechanism);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Mechanism) {
+
+// Table axes, slowest varying first: SZA (°), altitude (km),
+// total ozone column (DU), surface albedo (0-1)
+const AXES = ['sza', 'altitude', 'ozone', 'albedo'];
+
+// Column names accepted for each axis in table files
+const AXIS_NAMES = {
+    sza: ['sza', 'zenith', 'sza_deg'],
+    altitude: ['altitude', 'alt', 'z', 'altitude_km'],
+    ozone: ['ozone', 'o3', 'o3col', 'ozone_column', 'du'],
+    albedo: ['albedo', 'alb', 'surface_albedo']
+};
+
+// Photolysis conditions used when a model does not set them
+const DEFAULT_CONDITIONS = {
+    altitude: 0, // km
+    ozoneColumn: 300, // DU
+    albedo: 0.1,
+    attenuation: 1 // cloud/aerosol factor applied to every J
+};
+
+// ==========================================
+// TABLES
+// ==========================================
+
+// axes: { sza: [...], altitude: [...], ozone: [...], albedo: [...] }, each ascending
+// values: { name: flat array, albedo varying fastest and sza slowest }
+function createTable(axes, values, source = '') {
+    const sizes = AXES.map(axis => {
+        const nodes = axes[axis];
+        if (!Array.isArray(nodes) || nodes.length === 0) {
+            throw new Error(`J table: axis "${axis}" needs at least one value`);
+        }
+        for (let i = 1; i < nodes.length; i++) {
+            if (!(nodes[i] > nodes[i - 1])) throw new Error(`J table: axis "${axis}" must be ascending`);
+        }
+        return nodes.length;
+    });
+    const size = sizes.reduce((a, b) => a * b, 1);
+    
+    const names = Object.keys(values);
+    if (names.length === 0) throw new Error('J table: no photolysis columns');
+    names.forEach(name => {
+        if (values[name].length !== size) {
+            throw new Error(`J table: "${name}" has ${values[name].length} values, the grid needs ${size}`);
+        }
+    });
+    
+    return { axes: axes, sizes: sizes, values: values, names: names, source: source };
+}
+
+// Bracketing node and weight of x on one axis; outside the range the
+// end value is used
+function bracket(nodes, x) {
+    if (nodes.length === 1 || x <= nodes[0]) return [0, 0];
+    const last = nodes.length - 1;
+    if (x >= nodes[last]) return [last - 1, 1];
+    let i = 0;
+    while (nodes[i + 1] < x) i++;
+    return [i, (x - nodes[i]) / (nodes[i + 1] - nodes[i])];
+}
+
+// Multilinear interpolation of one column at point { sza, altitude,
+// ozone, albedo }; undefined if the table has no such column. Beyond
+// the largest tabulated SZA the sun is down and J = 0.
+function interpolate(table, name, point) {
+    const values = table.values[name];
+    if (!values) return undefined;
+    const szaNodes = table.axes.sza;
+    if (point.sza > szaNodes[szaNodes.length - 1]) return 0;
+    
+    const brackets = AXES.map(axis => bracket(table.axes[axis], point[axis]));
+    let result = 0;
+    
+    // Sum over the 2^4 corners of the enclosing cell
+    for (let corner = 0; corner < 16; corner++) {
+        let weight = 1;
+        let index = 0;
+        for (let a = 0; a < AXES.length; a++) {
+            const [i, w] = brackets[a];
+            const upper = (corner >> a) & 1;
+            if (upper && table.sizes[a] === 1) {
+                weight = 0;
+                break;
+            }
+            weight *= upper ? w : 1 - w;
+            index = index * table.sizes[a] + i + upper;
+        }
+        if (weight > 0) result += weight * values[index];
+    }
+    return result;
+}
+
+// ==========================================
+// TABLE FILES
+// ==========================================
+
+function axisForColumn(column) {
+    const key = column.trim().toLowerCase();
+    return AXES.find(axis => AXIS_NAMES[axis].includes(key));
+}
+
+// CSV, one row per grid point:
+//   sza,altitude,ozone,albedo,NO2_photolysis,O3_to_O1D,...
+// Axis columns may be left out for a table that does not vary along
+// them; lines starting with # are comments.
+function parseCSV(text, source) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+    if (lines.length < 2) throw new Error('J table: needs a header line and at least one row');
+    
+    const header = lines[0].split(',').map(h => h.trim());
+    const axisColumns = {};
+    const jColumns = [];
+    header.forEach((column, i) => {
+        const axis = axisForColumn(column);
+        if (axis) axisColumns[axis] = i;
+        else jColumns.push({ name: column, index: i });
+    });
+    if (axisColumns.sza === undefined) throw new Error('J table: no "sza" column');
+    
+    const rows = lines.slice(1).map((line, r) => {
+        const cells = line.split(',').map(Number);
+        if (cells.length !== header.length || cells.some(isNaN)) {
+            throw new Error(`J table: cannot read row ${r + 2} "${line}"`);
+        }
+        return cells;
+    });
+    
+    // Axis nodes are the distinct values found in each axis column
+    const axes = {};
+    AXES.forEach(axis => {
+        if (axisColumns[axis] === undefined) {
+            axes[axis] = [axis === 'ozone' ? DEFAULT_CONDITIONS.ozoneColumn : DEFAULT_CONDITIONS[axis]];
+        } else {
+            axes[axis] = Array.from(new Set(rows.map(row => row[axisColumns[axis]]))).sort((a, b) => a - b);
+        }
+    });
+    
+    const sizes = AXES.map(axis => axes[axis].length);
+    const size = sizes.reduce((a, b) => a * b, 1);
+    if (rows.length !== size) {
+        throw new Error(`J table: ${rows.length} rows do not form a full ${sizes.join(' × ')} grid`);
+    }
+    
+    const values = {};
+    jColumns.forEach(col => { values[col.name] = new Array(size); });
+    const seen = new Set();
+    rows.forEach(row => {
+        let index = 0;
+        AXES.forEach((axis, a) => {
+            const i = axisColumns[axis] === undefined ? 0 : axes[axis].indexOf(row[axisColumns[axis]]);
+            index = index * sizes[a] + i;
+        });
+        if (seen.has(index)) throw new Error('J table: grid point listed twice');
+        seen.add(index);
+        jColumns.forEach(col => { values[col.name][index] = row[col.index]; });
+    });
+    
+    return createTable(axes, values, source);
+}
+
+// Table from a CSV file or from JSON { axes, values, source }
+function parseTable(text, fileName = '') {
+    const trimmed = text.trim();
+    if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        return createTable(data.axes || {}, data.values || {}, data.source || fileName);
+    }
+    return parseCSV(text, fileName);
+}
+
+// ==========================================
+// DEFAULT TABLE
+// ==========================================
+
+// MCM photolysis numbers behind the built-in J names
+const BUILTIN_J = {
+    NO2_photolysis: 4,
+    O3_to_O1D: 1,
+    CH2O_photolysis: 12,
+    H2O2_photolysis: 3
+};
+
+// Stand-in for a TUV table, generated from the MCM clear-sky fits
+// J = l·cos(χ)^m·exp(-n·sec χ) (surface, 300 DU, albedo ~0.1) with rough
+// corrections: the extinction term n scales with the pressure above the
+// altitude (scale height 7.4 km), J ∝ (1 + albedo)/1.1, and J(O¹D) ∝
+// (ozone/300 DU)^-1.3. Load a TUV table for quantitative work.
+function generateDefaultTable() {
+    const axes = {
+        sza: [0, 10, 20, 30, 40, 50, 60, 65, 70, 75, 80, 84, 86, 88, 89, 90],
+        altitude: [0, 0.5, 1, 2, 3, 4, 6, 8, 10, 12],
+        ozone: [200, 250, 300, 350, 400, 450, 500],
+        albedo: [0, 0.1, 0.3, 0.6, 0.9]
+    };
+    
+    const columns = {};
+    Object.keys(BUILTIN_J).forEach(name => { columns[name] = BUILTIN_J[name]; });
+    Object.keys(Mechanism.MCM_PHOTOLYSIS).forEach(n => { columns['J' + n] = Number(n); });
+    
+    const values = {};
+    Object.keys(columns).forEach(name => {
+        const p = Mechanism.MCM_PHOTOLYSIS[columns[name]];
+        const ozoneExponent = columns[name] === 1 ? -1.3 : 0;
+        const out = [];
+        axes.sza.forEach(sza => {
+            const cosSza = Math.cos(sza * Math.PI / 180);
+            axes.altitude.forEach(z => {
+                const clear = cosSza <= 1e-6 ? 0 :
+                    p.l * Math.pow(cosSza, p.m) * Math.exp(-p.n * Math.exp(-z / 7.4) / cosSza);
+                axes.ozone.forEach(ozone => {
+                    axes.albedo.forEach(albedo => {
+                        out.push(clear * Math.pow(ozone / 300, ozoneExponent) * (1 + albedo) / 1.1);
+                    });
+                });
+            });
+        });
+        values[name] = out;
+    });
+    
+    return createTable(axes, values, 'Built-in table (MCM parameterization)');
+}
+
+const DEFAULT_TABLE = generateDefaultTable();
+
+// Mars J-values, J = l·cos(χ)^m·exp(-n·sec χ·exp(-z/11.1 km)), at the
+// mean Mars-Sun distance (1.524 AU) for a clear, dust-free sky. CO2
+// absorbs everything below ~200 nm high up, so J(CO2) and J(H2O) at the
+// surface come from the 190-205 nm tail and depend steeply on the
+// slant column; only the Herzberg continuum is left of J(O2). Rough
+// values after Nair et al. (1994).
+const MARS_PHOTOLYSIS = {
+    CO2_photolysis: { l: 8e-7, m: 1.0, n: 12.0 },
+    O2_photolysis: { l: 5e-10, m: 1.0, n: 0.2 },
+    O3_photolysis: { l: 4e-3, m: 0.4, n: 0.1 },
+    H2O_photolysis: { l: 4.3e-6, m: 1.0, n: 10.7 },
+    H2O2_photolysis: { l: 2.5e-5, m: 0.6, n: 0.1 }
+};
+
+function generateMarsTable() {
+    const axes = {
+        sza: [0, 10, 20, 30, 40, 50, 60, 65, 70, 75, 80, 84, 86, 88, 89, 90],
+        altitude: [0, 5, 10, 20, 30, 40, 60],
+        ozone: [DEFAULT_CONDITIONS.ozoneColumn],
+        albedo: [DEFAULT_CONDITIONS.albedo]
+    };
+    const values = {};
+    Object.keys(MARS_PHOTOLYSIS).forEach(name => {
+        const p = MARS_PHOTOLYSIS[name];
+        values[name] = [];
+        axes.sza.forEach(sza => {
+            const cosSza = Math.cos(sza * Math.PI / 180);
+            axes.altitude.forEach(z => {
+                values[name].push(cosSza <= 1e-6 ? 0 :
+                    p.l * Math.pow(cosSza, p.m) * Math.exp(-p.n * Math.exp(-z / 11.1) / cosSza));
+            });
+        });
+    });
+    return createTable(axes, values, 'Built-in Mars table (1.524 AU)');
+}
+
+const MARS_TABLE = generateMarsTable();
+
+// ==========================================
+// J-VALUES FOR A MODEL STEP
+// ==========================================
+
+// Photolysis settings { table, altitude, ozoneColumn, albedo, attenuation }
+function createSettings(options = {}) {
+    return Object.assign({ table: DEFAULT_TABLE }, DEFAULT_CONDITIONS, options);
+}
+
+// J-value function name → s⁻¹ at this SZA. Names missing from the table
+// fall back to the simple parameterization in atmos-mechanism.js. The
+// cloud/aerosol attenuation factor multiplies every J.
+function jValueFunction(settings, sza) {
+    const point = {
+        sza: sza,
+        altitude: settings.altitude,
+        ozone: settings.ozoneColumn,
+        albedo: settings.albedo
+    };
+    const cache = {};
+    return name => {
+        if (cache[name] === undefined) {
+            const tabulated = settings.table ? interpolate(settings.table, name, point) : undefined;
+            const j = tabulated !== undefined ? tabulated : Mechanism.calculateJValue(name, sza);
+            cache[name] = j * settings.attenuation;
+        }
+        return cache[name];
+    };
+}
+
+// J names used by a mechanism: photolysis reactions and J(n) in expressions
+function mechanismJNames(mechanism) {
+    const names = new Set();
+    mechanism.reactions.forEach(rxn => {
+        if (rxn.rate.type === 'photolysis') names.add(rxn.rate.j);
+        if (rxn.rate.type === 'expression') {
+            const pattern = /\bJ\s*[(<]\s*(\d+)/gi;
+            let match;
+            while ((match = pattern.exec(rxn.rate.expression))) names.add('J' + match[1]);
+        }
+    });
+    return Array.from(names);
+}
+
+// J names of the mechanism that the table does not cover
+function missingFromTable(table, mechanism) {
+    return mechanismJNames(mechanism).filter(name => !table.values[name]);
+}
+
+return {
+    AXES, DEFAULT_CONDITIONS, DEFAULT_TABLE, BUILTIN_J, MARS_PHOTOLYSIS, MARS_TABLE,
+    createTable, interpolate, parseTable, createSettings,
+    jValueFunction, mechanismJNames, missingFromTable
+};
+});
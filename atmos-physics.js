@@ -0,0 +1,133 @@
+// ==========================================
+// ATMOSPHERIC CHEMISTRY SIMULATOR
+// Physical processes of the boundary-layer box: dry deposition,
+// entrainment from the free troposphere and dilution
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AtmosPhysics = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+// Typical daytime dry deposition velocities over vegetated land (cm/s),
+// after Wesely (1989) and Seinfeld & Pandis (2016), ch. 19
+const DEPOSITION_VELOCITIES = {
+    O3: 0.4,
+    NO2: 0.1,
+    HNO3: 2.0,
+    H2O2: 1.0,
+    CH2O: 0.5
+};
+
+// Physical process names, in the order they are reported
+const PROCESSES = ['chemistry', 'emission', 'deposition', 'entrainment', 'dilution'];
+
+// Settings of the physical processes
+function createPhysics(options = {}) {
+    const physics = {
+        deposition: true,
+        depositionVelocities: Object.assign({}, DEPOSITION_VELOCITIES), // cm/s
+        boundaryLayer: {
+            diurnal: true, // rise through the morning, collapse at dusk
+            minHeight: 300, // m, nocturnal
+            maxHeight: 1500 // m, afternoon (or constant when not diurnal)
+        },
+        entrainment: true, // mix in background air while the layer grows
+        dilutionRate: 0, // 1/day, exchange with background air at all times
+        background: {} // ppb, overrides the mechanism's background preset
+    };
+    return updatePhysics(physics, options);
+}
+
+// New physics settings with options merged in and checked
+function updatePhysics(physics, options) {
+    const next = Object.assign({}, physics, options);
+    next.depositionVelocities = Object.assign({}, physics.depositionVelocities, options.depositionVelocities);
+    next.boundaryLayer = Object.assign({}, physics.boundaryLayer, options.boundaryLayer);
+    next.background = Object.assign({}, physics.background, options.background);
+    
+    const bl = next.boundaryLayer;
+    if (!(bl.minHeight > 0) || !(bl.maxHeight >= bl.minHeight)) {
+        throw new Error('Boundary layer heights must be positive, with maxHeight ≥ minHeight');
+    }
+    if (!(next.dilutionRate >= 0)) throw new Error('Dilution rate cannot be negative');
+    Object.keys(next.depositionVelocities).forEach(sp => {
+        if (!(next.depositionVelocities[sp] >= 0)) {
+            throw new Error(`Deposition velocity of ${sp} must be a non-negative number (cm/s)`);
+        }
+    });
+    return next;
+}
+
+// Boundary-layer height (m) at a local time of day (hours): nocturnal
+// until 07:00, growing to the afternoon maximum by 13:00, collapsing
+// between 18:00 and 19:00
+function boundaryLayerHeight(physics, localHours) {
+    const bl = physics.boundaryLayer;
+    if (!bl.diurnal) return bl.maxHeight;
+    const t = ((localHours % 24) + 24) % 24;
+    let f;
+    if (t < 7 || t >= 19) f = 0;
+    else if (t < 13) f = (1 - Math.cos(Math.PI * (t - 7) / 6)) / 2;
+    else if (t < 18) f = 1;
+    else f = 19 - t;
+    return bl.minHeight + f * (bl.maxHeight - bl.minHeight);
+}
+
+// First-order rate coefficients (1/s) for one output interval, from the
+// layer height at its start (h0) and end (h1) over dt (s):
+// deposition vd/h per species, entrainment max(dh/dt, 0)/h and dilution
+function processCoefficients(physics, h0, h1, dt, background) {
+    const deposition = {};
+    if (physics.deposition) {
+        Object.keys(physics.depositionVelocities).forEach(sp => {
+            deposition[sp] = physics.depositionVelocities[sp] / 100 / h0;
+        });
+    }
+    return {
+        height: h0,
+        deposition: deposition,
+        entrainment: physics.entrainment ? Math.max(0, h1 - h0) / dt / h0 : 0,
+        dilution: physics.dilutionRate / 86400,
+        background: background
+    };
+}
+
+// Tendencies (ppb/s) of each physical process: { deposition, entrainment, dilution }
+function processTendencies(c, coeffs) {
+    const rates = { deposition: {}, entrainment: {}, dilution: {} };
+    Object.keys(c).forEach(sp => {
+        const gap = (coeffs.background[sp] || 0) - c[sp];
+        rates.deposition[sp] = -(coeffs.deposition[sp] || 0) * c[sp];
+        rates.entrainment[sp] = coeffs.entrainment * gap;
+        rates.dilution[sp] = coeffs.dilution * gap;
+    });
+    return rates;
+}
+
+// Add the physical tendencies to dc/dt
+function addPhysics(dcdt, c, coeffs) {
+    Object.keys(dcdt).forEach(sp => {
+        const gap = (coeffs.background[sp] || 0) - c[sp];
+        dcdt[sp] += -(coeffs.deposition[sp] || 0) * c[sp] + (coeffs.entrainment + coeffs.dilution) * gap;
+    });
+    return dcdt;
+}
+
+// All processes are linear, so they only add to the Jacobian diagonal
+function addPhysicsJacobian(jac, coeffs) {
+    Object.keys(jac).forEach(sp => {
+        jac[sp][sp] -= (coeffs.deposition[sp] || 0) + coeffs.entrainment + coeffs.dilution;
+    });
+    return jac;
+}
+
+return {
+    DEPOSITION_VELOCITIES, PROCESSES,
+    createPhysics, updatePhysics, boundaryLayerHeight, processCoefficients,
+    processTendencies, addPhysics, addPhysicsJacobian
+};
+});
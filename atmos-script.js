@@ -1,394 +1,257 @@
 // ==========================================
 // ATMOSPHERIC CHEMISTRY SIMULATOR
-// Core Engine with Chemical Mechanism
+// User Interface and Visualization
 // VERSION 2.0 - With Molecular Structures
 // ==========================================
 
 console.log('🌍 Atmospheric Chemistry Simulator v2.0 initializing...');
 console.log('📦 Molecular structure rendering enabled');
 
-// Physical Constants
-const R = 8.314; // Gas constant J/(mol·K)
-const NA = 6.022e23; // Avogadro's number
-const M_AIR = 28.97; // Molar mass of air g/mol
-
-// Species Configuration
-const SPECIES = {
-    CH4: { name: 'CH₄', color: '#3b82f6', initial: 1800 }, // ppb
-    CO: { name: 'CO', color: '#f59e0b', initial: 100 },
-    CO2: { name: 'CO₂', color: '#10b981', initial: 400000 }, // Actually ppm, but in ppb units
-    OH: { name: 'OH', color: '#ec4899', initial: 0.1 },
-    HO2: { name: 'HO₂', color: '#06b6d4', initial: 10 },
-    O3: { name: 'O₃', color: '#8b5cf6', initial: 40 },
-    NO: { name: 'NO', color: '#ef4444', initial: 0.5 },
-    NO2: { name: 'NO₂', color: '#f97316', initial: 0.5 },
-    CH3O2: { name: 'CH₃O₂', color: '#84cc16', initial: 0.01 },
-    CH2O: { name: 'CH₂O', color: '#14b8a6', initial: 1 }
-};
+// Simulation engine (atmos-engine.js, loaded first)
+const {
+    BUILTIN, MODES, createModel, modelEnvironment, modelPhotolysis, marsSolarTime, waterVapour, o1dOHYield, chemicalLifetime,
+    parseLocalTime, modelLocalTime, updateDiurnalCycle,
+    initializeConcentrations, setMode, setMechanism, setModules, setModuleSettings, setPhotolysis, setForcing,
+    setEmissionProfile, setCustomProfile, emissionFactor, setPhysics, setAerosol, processRates, boundaryLayerHeight,
+    resetModel, steadyState, cloneModel, batchModel, mechanismDefinition, modelParts, modelSnapshot, runBatch,
+    applyBatch, timeSeriesToCSV, budgetToCSV
+} = AtmosEngine;
+const { SOURCES, reactionRates, networkArrows, stratosphericJValue, reactionUncertainty } = AtmosMechanism;
+const { importMechanism } = AtmosImport;
+const { DEFAULT_TABLE, parseTable, jValueFunction, mechanismJNames, missingFromTable } = AtmosPhotolysis;
+const { parseForcing } = AtmosForcing;
+const { PROCESSES } = AtmosPhysics;
+const {
+    rankReactions, sensitivityToCSV, SOBOL_CONFIDENCE, sobolToCSV,
+    ISOPLETH_FLAT, interpolateGrid, isoplethRegime, isoplethToCSV, ANALYSES, jobProgress
+} = AtmosAnalysis;
 
-// Global State
-let state = {
-    concentrations: {},
-    time: 0, // seconds
-    temperature: 298, // K
-    pressure: 1000, // hPa
-    solarZenithAngle: 0, // degrees
-    isRunning: false,
-    diurnalCycle: true,
-    emissions: {
-        CH4: 10, // ppb/day
-        CO: 5
-    },
-    noxLevel: 1.0
-};
+// Simulation model driven by the UI
+let state = createModel();
+let isRunning = false;
 
-let timeSeriesData = {
-    time: [],
-    concentrations: {}
-};
+// Last mechanism loaded from a KPP/FACSIMILE file
+let importedMechanism = null;
 
 // Chart instances
 let concentrationChart = null;
 
+// Last Monte Carlo ensemble (see atmos-analysis.js), drawn on the chart
+let ensemble = null;
+
 // Canvas for network visualization
 let networkCanvas, networkCtx;
 
-// Initialize concentrations
-function initializeConcentrations(preset = 'background') {
-    const presets = {
-        background: {
-            CH4: 1800, CO: 100, CO2: 400000, OH: 0.1, HO2: 10,
-            O3: 40, NO: 0.5, NO2: 0.5, CH3O2: 0.01, CH2O: 1
-        },
-        polluted: {
-            CH4: 2000, CO: 500, CO2: 450000, OH: 0.05, HO2: 20,
-            O3: 80, NO: 5, NO2: 10, CH3O2: 0.1, CH2O: 5
-        },
-        clean: {
-            CH4: 1750, CO: 50, CO2: 400000, OH: 0.2, HO2: 5,
-            O3: 30, NO: 0.1, NO2: 0.1, CH3O2: 0.005, CH2O: 0.5
-        }
-    };
-    
-    const initialValues = presets[preset] || presets.background;
-    
-    Object.keys(SPECIES).forEach(sp => {
-        state.concentrations[sp] = initialValues[sp];
-        if (!timeSeriesData.concentrations[sp]) {
-            timeSeriesData.concentrations[sp] = [];
-        }
-    });
-}
-
 // ==========================================
-// CHEMICAL KINETICS
+// SIMULATION CONTROL
 // ==========================================
 
-// Arrhenius equation: k = A * exp(-Ea/RT)
-function arrhenius(A, Ea, T) {
-    return A * Math.exp(-Ea / (R * T));
-}
-
-// Calculate photolysis rate (J-value)
-function calculateJValue(reaction, sza) {
-    // sza in degrees
-    const szaRad = sza * Math.PI / 180;
-    const cosSza = Math.max(0, Math.cos(szaRad));
-    
-    // Simple parameterization: J = J0 * cos(sza)^n
-    const jValues = {
-        'NO2_photolysis': { j0: 8e-3, n: 1.0 },
-        'O3_to_O1D': { j0: 3e-5, n: 1.5 },
-        'CH2O_photolysis': { j0: 5e-5, n: 1.2 }
-    };
-    
-    const params = jValues[reaction];
-    if (!params) return 0;
-    
-    return params.j0 * Math.pow(cosSza, params.n);
-}
-
-// Reaction rate calculator
-function getRateConstant(reactionName, T, P, sza) {
-    const kb = 1.381e-23; // Boltzmann constant
-    const M = P * 100 / (kb * T) * 1e-6; // Air density in molecules/cm³
-    
-    const rates = {
-        // OH + CH4 → CH3 + H2O
-        'CH4_OH': arrhenius(2.45e-12, -1775, T),
-        
-        // CH3 + O2 → CH3O2
-        'CH3_O2': 1e-12,
-        
-        // CH3O2 + NO → CH2O + NO2 + HO2
-        'CH3O2_NO': 2.8e-12,
-        
-        // CH2O + OH → CO + H2O + HO2
-        'CH2O_OH': 5.5e-12,
-        
-        // CH2O + hν → CO + H2
-        'CH2O_photolysis': calculateJValue('CH2O_photolysis', sza),
-        
-        // CO + OH → CO2 + H
-        'CO_OH': arrhenius(1.5e-13, 0, T) * (1 + 0.6 * P / 1013),
-        
-        // NO + O3 → NO2 + O2
-        'NO_O3': arrhenius(3.0e-12, 1500, T),
-        
-        // NO2 + hν → NO + O
-        'NO2_photolysis': calculateJValue('NO2_photolysis', sza),
-        
-        // NO2 + OH → HNO3
-        'NO2_OH': arrhenius(1.2e-11, 0, T),
-        
-        // HO2 + NO → OH + NO2
-        'HO2_NO': arrhenius(3.5e-12, -250, T),
-        
-        // O + O2 + M → O3 + M
-        'O_O2_M': 6e-34 * Math.pow(T / 300, -2.4) * M,
-        
-        // O3 + hν → O(1D) + O2
-        'O3_photolysis': calculateJValue('O3_to_O1D', sza),
-        
-        // O(1D) + H2O → 2OH
-        'O1D_H2O': 1.63e-10,
-        
-        // OH + HO2 → H2O + O2
-        'OH_HO2': 4.8e-11,
-        
-        // HO2 + HO2 → H2O2 + O2
-        'HO2_HO2': 2.3e-13
-    };
-    
-    return rates[reactionName] || 0;
-}
+let animationFrameId = null;
+let simSpeedFactor = 1.0; // model steps per animation frame
+let timeStepSize = 60; // seconds
 
-// ==========================================
-// CHEMICAL MECHANISM (ODEs)
-// ==========================================
+// The model is integrated in a Web Worker (atmos-worker.js), in batches
+// of whole steps of simulated time; each frame only draws the latest
+// result. Where workers are unavailable (e.g. a page opened from
+// file://) the same batches run on this thread between frames.
+const MAX_BATCH_STEPS = 500;
+let engineWorker = createEngineWorker();
+let workerParts = {}; // mechanism, J table and forcing the worker holds
+let pendingBatch = null; // the batch awaited and what it was taken from
+let batchCount = 0;
+let stepCredit = 0; // steps due but not yet requested
+let needsRender = false;
 
-function calculateRates(c, T, P, sza) {
-    // c = concentrations in ppb
-    // Convert to molecules/cm³ for kinetics
-    const ppbToMolec = P * 100 / (R * T) * NA * 1e-9 * 1e-6;
-    
-    // Get rate constants
-    const k = {};
-    Object.keys({
-        CH4_OH: 1, CH3_O2: 1, CH3O2_NO: 1, CH2O_OH: 1, CH2O_photolysis: 1,
-        CO_OH: 1, NO_O3: 1, NO2_photolysis: 1, NO2_OH: 1, HO2_NO: 1,
-        O_O2_M: 1, O3_photolysis: 1, O1D_H2O: 1, OH_HO2: 1, HO2_HO2: 1
-    }).forEach(rxn => {
-        k[rxn] = getRateConstant(rxn, T, P, sza);
-    });
-    
-    // Rates of change (ppb/s)
-    const dcdt = {};
-    
-    // CH4 loss and production
-    dcdt.CH4 = -k.CH4_OH * c.CH4 * c.OH;
-    
-    // CH3O2 production and loss
-    dcdt.CH3O2 = k.CH4_OH * c.CH4 * c.OH - k.CH3O2_NO * c.CH3O2 * c.NO;
-    
-    // CH2O production and loss
-    dcdt.CH2O = k.CH3O2_NO * c.CH3O2 * c.NO 
-                - k.CH2O_OH * c.CH2O * c.OH 
-                - k.CH2O_photolysis * c.CH2O;
-    
-    // CO production and loss
-    dcdt.CO = k.CH2O_OH * c.CH2O * c.OH 
-              + k.CH2O_photolysis * c.CH2O 
-              - k.CO_OH * c.CO * c.OH;
-    
-    // CO2 production
-    dcdt.CO2 = k.CO_OH * c.CO * c.OH;
-    
-    // OH production and loss
-    dcdt.OH = 2 * k.O3_photolysis * c.O3 * 0.2 // O(1D) + H2O, assuming 20% H2O quenching
-              + k.HO2_NO * c.HO2 * c.NO
-              - k.CH4_OH * c.CH4 * c.OH
-              - k.CH2O_OH * c.CH2O * c.OH
-              - k.CO_OH * c.CO * c.OH
-              - k.NO2_OH * c.NO2 * c.OH
-              - k.OH_HO2 * c.OH * c.HO2;
-    
-    // HO2 production and loss
-    dcdt.HO2 = k.CH3O2_NO * c.CH3O2 * c.NO
-               + k.CH2O_OH * c.CH2O * c.OH
-               - k.HO2_NO * c.HO2 * c.NO
-               - k.OH_HO2 * c.OH * c.HO2
-               - k.HO2_HO2 * c.HO2 * c.HO2;
-    
-    // NO production and loss
-    dcdt.NO = k.NO2_photolysis * c.NO2
-              - k.NO_O3 * c.NO * c.O3
-              - k.CH3O2_NO * c.CH3O2 * c.NO
-              - k.HO2_NO * c.HO2 * c.NO;
-    
-    // NO2 production and loss
-    dcdt.NO2 = k.NO_O3 * c.NO * c.O3
-               + k.CH3O2_NO * c.CH3O2 * c.NO
-               + k.HO2_NO * c.HO2 * c.NO
-               - k.NO2_photolysis * c.NO2
-               - k.NO2_OH * c.NO2 * c.OH;
-    
-    // O3 production and loss
-    dcdt.O3 = k.NO2_photolysis * c.NO2
-              - k.NO_O3 * c.NO * c.O3
-              - k.O3_photolysis * c.O3;
-    
-    return dcdt;
+function createEngineWorker() {
+    if (typeof Worker === 'undefined') return null;
+    try {
+        const worker = new Worker('atmos-worker.js?v=2.0');
+        worker.onmessage = (e) => receiveBatch(e.data);
+        // E.g. blocked from file://: carry on without it
+        worker.onerror = (e) => {
+            e.preventDefault();
+            console.warn('Simulation worker unavailable, integrating on the main thread');
+            worker.terminate();
+            engineWorker = null;
+            pendingBatch = null;
+        };
+        return worker;
+    } catch (err) {
+        return null;
+    }
 }
 
-// ==========================================
-// NUMERICAL SOLVER (RK4)
-// ==========================================
-
-function rk4Step(c, dt, T, P, sza, emissions) {
-    // Runge-Kutta 4th order
-    
-    function addEmissions(dcdt, dt) {
-        // Add emissions (ppb/day → ppb/s)
-        dcdt.CH4 += emissions.CH4 / 86400;
-        dcdt.CO += emissions.CO / 86400;
-        return dcdt;
+// Ask for the next steps from the current state
+function requestBatch(steps) {
+    const id = ++batchCount;
+    pendingBatch = {
+        id: id,
+        time: state.time,
+        concentrations: state.concentrations,
+        series: state.series,
+        mechanism: state.mechanism
+    };
+    if (!engineWorker) {
+        setTimeout(() => {
+            if (!pendingBatch || pendingBatch.id !== id) return;
+            let message;
+            try {
+                message = { id: id, batch: runBatch(batchModel(state), steps, timeStepSize) };
+            } catch (err) {
+                message = { id: id, error: err.message };
+            }
+            receiveBatch(message);
+        }, 0);
+        return;
     }
-    
-    // k1
-    let k1 = calculateRates(c, T, P, sza);
-    k1 = addEmissions(k1, dt);
-    
-    // k2
-    const c2 = {};
-    Object.keys(c).forEach(sp => {
-        c2[sp] = Math.max(0, c[sp] + 0.5 * dt * k1[sp]);
-    });
-    let k2 = calculateRates(c2, T, P, sza);
-    k2 = addEmissions(k2, dt);
-    
-    // k3
-    const c3 = {};
-    Object.keys(c).forEach(sp => {
-        c3[sp] = Math.max(0, c[sp] + 0.5 * dt * k2[sp]);
-    });
-    let k3 = calculateRates(c3, T, P, sza);
-    k3 = addEmissions(k3, dt);
-    
-    // k4
-    const c4 = {};
-    Object.keys(c).forEach(sp => {
-        c4[sp] = Math.max(0, c[sp] + dt * k3[sp]);
-    });
-    let k4 = calculateRates(c4, T, P, sza);
-    k4 = addEmissions(k4, dt);
-    
-    // Update
-    const cNew = {};
-    Object.keys(c).forEach(sp => {
-        cNew[sp] = Math.max(0, c[sp] + dt / 6 * (k1[sp] + 2*k2[sp] + 2*k3[sp] + k4[sp]));
+    // The large shared parts are only sent when they change
+    const parts = {};
+    const current = modelParts(state);
+    Object.keys(current).forEach(key => {
+        if (workerParts[key] === current[key]) return;
+        parts[key] = key === 'mechanism' ? mechanismDefinition(current[key]) : current[key];
+        workerParts[key] = current[key];
     });
-    
-    return cNew;
+    engineWorker.postMessage({ id: id, snapshot: modelSnapshot(state), parts: parts, steps: steps, dt: timeStepSize });
 }
 
-// ==========================================
-// SIMULATION CONTROL
-// ==========================================
-
-let animationFrameId = null;
-let lastUpdateTime = Date.now();
-let simSpeedFactor = 1.0;
-let timeStepSize = 60; // seconds
-
-function updateDiurnalCycle() {
-    if (!state.diurnalCycle) return;
-    
-    // Convert simulated time to hours
-    const hours = (state.time / 3600) % 24;
-    
-    // Solar zenith angle simple model
-    // SZA = 0 at noon, 90 at sunrise/sunset
-    const sza = Math.abs(12 - hours) * 7.5; // Simplified
-    state.solarZenithAngle = Math.min(90, sza);
-}
-
-function stepSimulation(dt) {
-    // Update concentrations
-    state.concentrations = rk4Step(
-        state.concentrations,
-        dt,
-        state.temperature,
-        state.pressure,
-        state.solarZenithAngle,
-        state.emissions
-    );
-    
-    // Update time
-    state.time += dt;
-    
-    // Update diurnal cycle
-    updateDiurnalCycle();
-    
-    // Store data (every 10 time steps to reduce memory)
-    if (timeSeriesData.time.length === 0 || 
-        state.time - timeSeriesData.time[timeSeriesData.time.length - 1] >= dt * 10) {
-        timeSeriesData.time.push(state.time);
-        Object.keys(SPECIES).forEach(sp => {
-            timeSeriesData.concentrations[sp].push(state.concentrations[sp]);
-        });
+function receiveBatch(message) {
+    const pending = pendingBatch;
+    if (!pending || message.id !== pending.id) return; // paused or superseded
+    pendingBatch = null;
+    if (message.error) {
+        pauseSimulation();
+        console.error('Simulation stopped:', message.error);
+        return;
     }
+    // Dropped if the model was reset or its chemistry changed meanwhile
+    if (state.time !== pending.time || state.concentrations !== pending.concentrations ||
+        state.series !== pending.series || state.mechanism !== pending.mechanism) return;
+    applyBatch(state, message.batch);
+    updateChart(); // once per batch; the other panels wait for the next frame
+    needsRender = true;
 }
 
 function runSimulation() {
-    if (!state.isRunning) return;
-    
-    const currentTime = Date.now();
-    const elapsed = (currentTime - lastUpdateTime) / 1000 * simSpeedFactor;
-    lastUpdateTime = currentTime;
-    
-    // Take multiple small steps for stability
-    const numSteps = Math.max(1, Math.floor(elapsed / timeStepSize));
-    for (let i = 0; i < numSteps; i++) {
-        stepSimulation(timeStepSize);
+    if (!isRunning) return;
+    
+    // Steps accrue per frame, not per wall-clock second, so a busy tab
+    // runs slower but reaches the same results
+    stepCredit = Math.min(MAX_BATCH_STEPS, stepCredit + simSpeedFactor);
+    if (!pendingBatch && stepCredit >= 1) {
+        const steps = Math.floor(stepCredit);
+        stepCredit -= steps;
+        requestBatch(steps);
     }
     
-    // Update UI
-    updateUI();
+    if (needsRender) {
+        needsRender = false;
+        updateUI();
+    }
     
     animationFrameId = requestAnimationFrame(runSimulation);
 }
 
 function startSimulation() {
-    if (state.isRunning) return;
-    state.isRunning = true;
-    lastUpdateTime = Date.now();
+    if (isRunning) return;
+    isRunning = true;
+    stepCredit = 1;
     runSimulation();
     updateButtons();
 }
 
+// A batch still running is dropped: the model stays where the last one left it
 function pauseSimulation() {
-    state.isRunning = false;
+    isRunning = false;
+    pendingBatch = null;
+    stepCredit = 0;
     if (animationFrameId) {
         cancelAnimationFrame(animationFrameId);
         animationFrameId = null;
     }
+    if (needsRender) {
+        needsRender = false;
+        updateUI();
+    }
     updateButtons();
 }
 
 function resetSimulation() {
     pauseSimulation();
-    state.time = 0;
-    state.solarZenithAngle = 0;
-    timeSeriesData.time = [];
-    Object.keys(SPECIES).forEach(sp => {
-        timeSeriesData.concentrations[sp] = [];
-    });
-    initializeConcentrations('background');
+    resetModel(state, 'background');
+    clearEnsemble();
     updateUI();
     updateChart();
 }
 
+// ==========================================
+// ANALYSIS JOBS
+// ==========================================
+
+// Each analysis (see ANALYSES in atmos-analysis.js) runs on a copy of
+// the model in a worker of its own, so the simulation carries on
+// meanwhile; without workers its runs go one per task on this thread.
+// handlers: progress({ completed, total, change }) after each run, then
+// result(result) or error(message).
+function runAnalysis(kind, args, handlers) {
+    const model = cloneModel(state);
+    let worker = null;
+    if (engineWorker) {
+        try {
+            worker = new Worker('atmos-worker.js?v=2.0');
+        } catch (err) {
+            worker = null;
+        }
+    }
+    if (!worker) {
+        runAnalysisHere(model, kind, args, handlers);
+        return;
+    }
+    worker.onmessage = (e) => {
+        const message = e.data;
+        if (message.progress) {
+            handlers.progress(message.progress);
+            return;
+        }
+        worker.terminate();
+        if (message.error) handlers.error(message.error);
+        else handlers.result(message.result);
+    };
+    // E.g. blocked from file://: run it here instead
+    worker.onerror = (e) => {
+        e.preventDefault();
+        worker.terminate();
+        runAnalysisHere(model, kind, args, handlers);
+    };
+    const parts = modelParts(model);
+    parts.mechanism = mechanismDefinition(parts.mechanism);
+    worker.postMessage({ id: 0, snapshot: modelSnapshot(model), parts: parts, analysis: { kind: kind, args: args } });
+}
+
+function runAnalysisHere(model, kind, args, handlers) {
+    const { create, step, result } = ANALYSES[kind];
+    let job;
+    try {
+        job = create(model, ...args);
+    } catch (err) {
+        handlers.error(err.message);
+        return;
+    }
+    const next = () => {
+        let more;
+        try {
+            more = step(job);
+        } catch (err) {
+            handlers.error(err.message);
+            return;
+        }
+        handlers.progress(jobProgress(job));
+        if (more) setTimeout(next, 0);
+        else handlers.result(result(job));
+    };
+    setTimeout(next, 0);
+}
+
 // ==========================================
 // UI UPDATES
 // ==========================================
@@ -398,9 +261,18 @@ function updateUI() {
     const hours = state.time / 3600;
     document.getElementById('simulatedTime').textContent = hours.toFixed(2) + ' hours';
     
-    const localHours = (hours % 24).toFixed(0).padStart(2, '0');
-    const localMinutes = ((hours % 1) * 60).toFixed(0).padStart(2, '0');
-    document.getElementById('localTime').textContent = `${localHours}:${localMinutes}`;
+    const pad = n => String(n).padStart(2, '0');
+    if (state.planet === 'mars') {
+        // Local solar time in sols, and the season
+        const mars = marsSolarTime(state);
+        const minutes = Math.floor(mars.hours * 60);
+        document.getElementById('localTime').textContent =
+            `Sol ${mars.sol} ${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)} · Ls ${mars.ls.toFixed(1)}°`;
+    } else {
+        const local = modelLocalTime(state);
+        document.getElementById('localTime').textContent =
+            `${local.year}-${pad(local.month)}-${pad(local.day)} ${pad(local.hours)}:${pad(local.minutes)}`;
+    }
     
     // Update sun status
     const isDaytime = state.solarZenithAngle < 90;
@@ -408,30 +280,217 @@ function updateUI() {
     document.getElementById('sunStatus').textContent = isDaytime ? 'Daytime' : 'Nighttime';
     document.getElementById('sza').textContent = state.solarZenithAngle.toFixed(1);
     
+    // Show forced conditions on their controls
+    updateForcedControls();
+    
+    // Update water vapour and O(1D) partitioning
+    updateHumidityDisplay();
+    
+    // Update the CH4 (CO on Mars) lifetime and its split between oxidants
+    updateLifetimeDisplay();
+    
+    // Update emission rates at the current local time
+    updateEmissionDisplay();
+    
+    // Update boundary layer and species budget
+    updateBudget();
+    
+    // Update J-values at the current conditions
+    updatePhotolysisDisplay();
+    
+    // Update solver diagnostics
+    updateSolverDiagnostics();
+    
     // Update current concentrations
     updateCurrentConcentrations();
     
-    // Update chart periodically
-    if (timeSeriesData.time.length % 5 === 0) {
-        updateChart();
-    }
-    
     // Update network visualization
     updateNetworkVisualization();
 }
 
+function updateHumidityDisplay() {
+    document.getElementById('h2oValue').textContent = (waterVapour(state) * 100).toFixed(2) + '%';
+    const yieldOH = o1dOHYield(modelEnvironment(state));
+    document.getElementById('o1dYield').textContent = yieldOH === null ? '–' : yieldOH.toFixed(3);
+}
+
+// Controls whose values the forcing file sets: [model key, input, label, digits]
+const FORCED_CONTROLS = [
+    ['temperature', 'temperature', 'tempValue', 0],
+    ['pressure', 'pressure', 'pressureValue', 0],
+    ['relativeHumidity', 'relativeHumidity', 'rhValue', 0]
+];
+
+function updateForcedControls() {
+    if (!state.forcing) return;
+    FORCED_CONTROLS.forEach(([key, input, label, digits]) => {
+        document.getElementById(input).value = state[key];
+        document.getElementById(label).textContent = state[key].toFixed(digits);
+    });
+    showEmissionControls();
+}
+
+function showEmissionControls() {
+    Object.keys(EMISSION_CONTROLS).forEach(source => {
+        const id = EMISSION_CONTROLS[source].id + 'Emission';
+        document.getElementById(id).value = state.emissions[source];
+        document.getElementById(id + 'Value').textContent = state.emissions[source].toFixed(EMISSION_CONTROLS[source].digits || 1);
+    });
+}
+
+// Emission controls: element id prefix, display name and digits shown
+const EMISSION_CONTROLS = {
+    CH4: { id: 'ch4', label: 'CH₄' },
+    CO: { id: 'co', label: 'CO' },
+    NOx: { id: 'nox', label: 'NOₓ' },
+    CH2O: { id: 'ch2o', label: 'CH₂O' },
+    ISOP: { id: 'isop', label: 'C₅H₈' },
+    Cl2: { id: 'cl2', label: 'Cl₂', digits: 3 },
+    Br2: { id: 'br2', label: 'Br₂', digits: 3 }
+};
+
+// Decimals shown for each halogen module setting
+const HALOGEN_DIGITS = { snowRecycling: 2, gammaClNO2: 3 };
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Emission rates after the hourly/weekday profiles, at the model's local
+// time, for the sources the mechanism has
+function updateEmissionDisplay() {
+    const local = modelLocalTime(state);
+    const sources = Object.keys(EMISSION_CONTROLS).filter(source =>
+        state.mechanism.species[source === 'NOx' ? 'NO' : source]);
+    const rates = sources.map(source => {
+        const control = EMISSION_CONTROLS[source];
+        return `${control.label} ${(state.emissions[source] * emissionFactor(state, source, local)).toFixed(control.digits || 1)}`;
+    });
+    document.getElementById('emissionNow').textContent =
+        `Now (${WEEKDAYS[local.weekday]} ${String(local.hours).padStart(2, '0')} h): ${rates.join(' · ')} ppb/day`;
+}
+
+// Species whose lifetime is shown in each mode
+const LIFETIME_SPECIES = {
+    troposphere: 'CH4',
+    stratosphere: 'CH4',
+    mars: 'CO'
+};
+
+// Chemical lifetime of CH4 (CO on Mars) now, and how much of its loss
+// each oxidant takes
+function updateLifetimeDisplay() {
+    const element = document.getElementById('ch4Lifetime');
+    const sp = LIFETIME_SPECIES[state.mode];
+    if (!state.mechanism.species[sp]) {
+        element.textContent = '–';
+        return;
+    }
+    const name = state.mechanism.species[sp].name;
+    const result = chemicalLifetime(state.concentrations, modelEnvironment(state), sp);
+    const years = result.lifetime / (365.25 * 86400);
+    const shares = Object.keys(result.shares)
+        .filter(label => result.shares[label] >= 0.001)
+        .map(label => `${label} ${(result.shares[label] * 100).toFixed(1)}%`);
+    element.textContent = isFinite(years)
+        ? `${name} lifetime now: ${years.toPrecision(3)} yr (${shares.join(', ')})`
+        : `${name} lifetime now: no chemical loss`;
+}
+
+// J names shown in the photolysis panel: built-in name or MCM number
+const J_DISPLAY = {
+    jNO2: ['NO2_photolysis', 'J4'],
+    jO1D: ['O3_to_O1D', 'J1']
+};
+
+// The same J-values in the stratosphere, set by the pressure (see
+// STRATOSPHERIC_J in atmos-mechanism.js)
+const STRATOSPHERIC_J_DISPLAY = {
+    jNO2: 'NO2',
+    jO1D: 'O3_to_O1D'
+};
+
+function updatePhotolysisDisplay() {
+    const used = mechanismJNames(state.mechanism);
+    const jValue = jValueFunction(modelPhotolysis(state), state.solarZenithAngle);
+    Object.keys(J_DISPLAY).forEach(id => {
+        const name = J_DISPLAY[id].find(n => used.includes(n)) || J_DISPLAY[id][0];
+        let text;
+        if (state.mode === 'stratosphere') {
+            text = stratosphericJValue(STRATOSPHERIC_J_DISPLAY[id], state.pressure, state.solarZenithAngle).toExponential(2);
+        } else {
+            // Earth J-values mean nothing on another planet
+            text = state.planet === 'earth' || used.includes(name) ? jValue(name).toExponential(2) : '–';
+        }
+        document.getElementById(id).textContent = text;
+    });
+}
+
+// Seconds as s, min, h or days with three significant digits
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds.toPrecision(3)} s`;
+    if (seconds < 3600) return `${(seconds / 60).toPrecision(3)} min`;
+    if (seconds < 86400) return `${(seconds / 3600).toPrecision(3)} h`;
+    return `${(seconds / 86400).toPrecision(3)} d`;
+}
+
+// Column headings of the budget table, in PROCESSES order
+const PROCESS_LABELS = {
+    chemistry: 'Chem',
+    emission: 'Emis',
+    deposition: 'Dep',
+    entrainment: 'Entr',
+    dilution: 'Dil'
+};
+
+// Current tendency of each species by process, and the boundary layer
+function updateBudget() {
+    const env = modelEnvironment(state);
+    document.getElementById('blHeight').textContent = env.physics.height.toFixed(0);
+    document.getElementById('entrainmentRate').textContent = (env.physics.entrainment * 3600).toFixed(3);
+    
+    // Lifetime of each species against uptake on the aerosol, over all
+    // its uptake channels (e.g. N2O5 hydrolysis and N2O5 + Cl⁻)
+    const uptakeRates = {};
+    state.mechanism.reactions.forEach((rxn, i) => {
+        if (rxn.rate.type !== 'uptake' || !(env.k[i] > 0)) return;
+        const sp = rxn.reactants[0];
+        uptakeRates[sp] = (uptakeRates[sp] || 0) + env.k[i];
+    });
+    const uptake = Object.keys(uptakeRates)
+        .map(sp => `${state.mechanism.species[sp].name} ${formatDuration(1 / uptakeRates[sp])}`);
+    document.getElementById('uptakeLifetimes').textContent = uptake.length ? uptake.join(' · ') : '–';
+    
+    const rates = processRates(state.concentrations, env);
+    const species = state.mechanism.species;
+    const format = v => (v === 0 ? '0' : (v * 3600).toExponential(1));
+    const rows = ['<tr><th>Species</th>' + PROCESSES.map(p => `<th>${PROCESS_LABELS[p]}</th>`).join('') + '</tr>'];
+    Object.keys(species).forEach(sp => {
+        rows.push(`<tr><td>${species[sp].name}</td>` +
+            PROCESSES.map(p => `<td>${format(rates[p][sp])}</td>`).join('') + '</tr>');
+    });
+    document.getElementById('budgetTable').innerHTML = rows.join('');
+}
+
+function updateSolverDiagnostics() {
+    const stats = state.solver.stats;
+    document.getElementById('solverSteps').textContent = `${stats.accepted} / ${stats.rejected}`;
+    document.getElementById('solverDt').textContent =
+        stats.dtInternal === null ? '–' : stats.dtInternal.toPrecision(3) + ' s';
+    document.getElementById('solverClipped').textContent = stats.clipped;
+}
+
 function updateCurrentConcentrations() {
     const container = document.getElementById('currentConcentrations');
     container.innerHTML = '';
     
-    Object.keys(SPECIES).forEach(sp => {
+    const species = state.mechanism.species;
+    Object.keys(species).forEach(sp => {
         const item = document.createElement('div');
         item.className = 'species-item';
-        item.style.borderLeftColor = SPECIES[sp].color;
+        item.style.borderLeftColor = species[sp].color;
         
         const name = document.createElement('span');
         name.className = 'species-name';
-        name.textContent = SPECIES[sp].name;
+        name.textContent = species[sp].name;
         
         const value = document.createElement('span');
         value.className = 'species-value';
@@ -445,16 +504,17 @@ function updateCurrentConcentrations() {
 }
 
 function updateButtons() {
-    document.getElementById('runBtn').disabled = state.isRunning;
-    document.getElementById('pauseBtn').disabled = !state.isRunning;
+    document.getElementById('runBtn').disabled = isRunning;
+    document.getElementById('pauseBtn').disabled = !isRunning;
 }
 
 // Initialize
 console.log('Setting up UI...');
-initializeConcentrations('background');
 setupControls();
+updateJTableStatus();
 setupChart();
 setupNetworkCanvas();
+updateSobolInputs();
 updateUI();
 updateChart();
 console.log('✅ Simulator ready!');
@@ -483,18 +543,45 @@ function setupControls() {
         document.getElementById('dtValue').textContent = timeStepSize.toFixed(0);
     });
     
+    // ODE solver
+    const solverSelect = document.getElementById('solverMethod');
+    solverSelect.addEventListener('change', (e) => {
+        state.solver.method = e.target.value;
+        state.solver.stats.dtInternal = null;
+    });
+    
+    // Adaptive solver tolerances
+    document.getElementById('rtol').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (value > 0) state.solver.rtol = value;
+    });
+    document.getElementById('atol').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (value > 0) state.solver.atol = value;
+    });
+    
     // Temperature
     const tempSlider = document.getElementById('temperature');
     tempSlider.addEventListener('input', (e) => {
         state.temperature = parseFloat(e.target.value);
-        document.getElementById('tempValue').textContent = state.temperature.toFixed(0);
+        document.getElementById('tempValue').textContent = state.temperature.toFixed(sliderDigits(tempSlider));
+        updateHumidityDisplay();
     });
     
     // Pressure
     const pressureSlider = document.getElementById('pressure');
     pressureSlider.addEventListener('input', (e) => {
         state.pressure = parseFloat(e.target.value);
-        document.getElementById('pressureValue').textContent = state.pressure.toFixed(0);
+        document.getElementById('pressureValue').textContent = state.pressure.toFixed(sliderDigits(pressureSlider));
+        updateHumidityDisplay();
+    });
+    
+    // Relative humidity
+    const rhSlider = document.getElementById('relativeHumidity');
+    rhSlider.addEventListener('input', (e) => {
+        state.relativeHumidity = parseFloat(e.target.value);
+        document.getElementById('rhValue').textContent = state.relativeHumidity.toFixed(0);
+        updateHumidityDisplay();
     });
     
     // Solar zenith angle
@@ -510,45 +597,195 @@ function setupControls() {
     diurnalCheck.addEventListener('change', (e) => {
         state.diurnalCycle = e.target.checked;
         document.getElementById('solarZenith').disabled = e.target.checked;
+        updateDiurnalCycle(state);
+        updateUI();
     });
     
-    // CH4 emission
-    const ch4EmissionSlider = document.getElementById('ch4Emission');
-    ch4EmissionSlider.addEventListener('input', (e) => {
-        state.emissions.CH4 = parseFloat(e.target.value);
-        document.getElementById('ch4EmissionValue').textContent = state.emissions.CH4.toFixed(1);
+    // Location, start date and time zone for the solar zenith angle
+    ['latitude', 'longitude', 'timeZone'].forEach(id => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (isNaN(value)) return;
+            state[id] = value;
+            updateDiurnalCycle(state);
+            updateUI();
+        });
+    });
+    document.getElementById('startTime').addEventListener('change', (e) => {
+        try {
+            parseLocalTime(e.target.value, state.timeZone);
+        } catch (err) {
+            return;
+        }
+        state.startTime = e.target.value;
+        updateDiurnalCycle(state);
+        updateUI();
+    });
+    
+    // Photolysis conditions
+    const photolysisSliders = {
+        altitude: ['altitudeValue', 1],
+        ozoneColumn: ['ozoneColumnValue', 0],
+        albedo: ['albedoValue', 2],
+        attenuation: ['attenuationValue', 2]
+    };
+    Object.keys(photolysisSliders).forEach(key => {
+        const [label, digits] = photolysisSliders[key];
+        document.getElementById(key).addEventListener('input', (e) => {
+            setPhotolysis(state, { [key]: parseFloat(e.target.value) });
+            document.getElementById(label).textContent = state.photolysis[key].toFixed(digits);
+            updatePhotolysisDisplay();
+        });
     });
     
-    // CO emission
-    const coEmissionSlider = document.getElementById('coEmission');
-    coEmissionSlider.addEventListener('input', (e) => {
-        state.emissions.CO = parseFloat(e.target.value);
-        document.getElementById('coEmissionValue').textContent = state.emissions.CO.toFixed(1);
+    document.getElementById('jTableFile').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text().then(text => loadJTableFile(text, file.name));
     });
     
-    // NOx level
-    const noxSlider = document.getElementById('noxLevel');
-    noxSlider.addEventListener('input', (e) => {
-        state.noxLevel = parseFloat(e.target.value);
-        document.getElementById('noxValue').textContent = state.noxLevel.toFixed(1);
-        // Adjust NO and NO2 concentrations
-        state.concentrations.NO = state.noxLevel * 0.5;
-        state.concentrations.NO2 = state.noxLevel * 0.5;
+    document.getElementById('builtinJTable').addEventListener('click', () => {
+        const modeTable = MODES[state.mode].photolysis;
+        setPhotolysis(state, { table: modeTable ? modeTable.table : DEFAULT_TABLE });
+        document.getElementById('jTableFile').value = '';
+        updateJTableStatus();
+        updatePhotolysisDisplay();
+    });
+    
+    // Boundary layer, deposition, entrainment and dilution
+    const physicsToggles = {
+        deposition: on => ({ deposition: on }),
+        diurnalBoundaryLayer: on => ({ boundaryLayer: { diurnal: on } }),
+        entrainment: on => ({ entrainment: on })
+    };
+    Object.keys(physicsToggles).forEach(id => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            setPhysics(state, physicsToggles[id](e.target.checked));
+            updateBudget();
+        });
+    });
+    
+    const physicsSliders = {
+        blMin: ['blMinValue', 0, value => ({ boundaryLayer: { minHeight: value } })],
+        blMax: ['blMaxValue', 0, value => ({ boundaryLayer: { maxHeight: value } })],
+        dilutionRate: ['dilutionValue', 2, value => ({ dilutionRate: value })]
+    };
+    Object.keys(physicsSliders).forEach(id => {
+        const [label, digits, settings] = physicsSliders[id];
+        document.getElementById(id).addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            try {
+                setPhysics(state, settings(value));
+            } catch (err) {
+                // min above max: keep the previous heights
+                e.target.value = id === 'blMin' ? state.physics.boundaryLayer.minHeight
+                    : state.physics.boundaryLayer.maxHeight;
+                return;
+            }
+            document.getElementById(label).textContent = value.toFixed(digits);
+            updateBudget();
+        });
+    });
+    
+    // Aerosol surface area and radius for heterogeneous uptake
+    const aerosolSliders = {
+        aerosolSurface: ['aerosolSurfaceValue', 0, 'area'],
+        aerosolRadius: ['aerosolRadiusValue', 2, 'radius']
+    };
+    Object.keys(aerosolSliders).forEach(id => {
+        const [label, digits, key] = aerosolSliders[id];
+        document.getElementById(id).addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            setAerosol(state, { [key]: value });
+            document.getElementById(label).textContent = value.toFixed(digits);
+            updateBudget();
+        });
+    });
+    
+    // Observed forcing
+    document.getElementById('forcingFile').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text().then(text => loadForcingFile(text, file.name));
+    });
+    
+    document.getElementById('clearForcing').addEventListener('click', () => {
+        setForcing(state, null);
+        document.getElementById('forcingFile').value = '';
+        const status = document.getElementById('forcingStatus');
+        status.className = 'mechanism-status';
+        status.textContent = '';
+        updateUI();
+    });
+    
+    // Emission rates (daily means) and their time profiles
+    Object.keys(EMISSION_CONTROLS).forEach(source => {
+        const id = EMISSION_CONTROLS[source].id;
+        document.getElementById(id + 'Emission').addEventListener('input', (e) => {
+            state.emissions[source] = parseFloat(e.target.value);
+            document.getElementById(id + 'EmissionValue').textContent =
+                state.emissions[source].toFixed(EMISSION_CONTROLS[source].digits || 1);
+            updateEmissionDisplay();
+        });
+        document.getElementById(id + 'Profile').addEventListener('change', (e) => {
+            setEmissionProfile(state, source, e.target.value);
+            updateEmissionDisplay();
+        });
+    });
+    
+    // Custom emission profile
+    document.getElementById('customHourly').value = state.customProfile.hourly.join(', ');
+    document.getElementById('customWeekday').value = state.customProfile.weekday.join(', ');
+    ['customHourly', 'customWeekday'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateCustomProfile);
+    });
+    
+    // Troposphere or stratosphere: mechanism, conditions and their ranges
+    document.getElementById('modeSelect').addEventListener('change', (e) => {
+        switchMode(e.target.value);
+    });
+    
+    // Chemical mechanism: the mode's built-in one or imported from a file
+    const mechanismSelect = document.getElementById('mechanismSelect');
+    mechanismSelect.addEventListener('change', (e) => {
+        switchMechanism(e.target.value === 'imported' ? importedMechanism : MODES[state.mode].mechanism);
+    });
+    
+    document.getElementById('mechanismFile').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text().then(text => loadMechanismFile(text, file.name));
+    });
+    
+    // Optional chemistry modules added to the mechanism
+    document.querySelectorAll('.module-toggle').forEach(toggle => {
+        toggle.addEventListener('change', switchModules);
+    });
+    
+    // Halogen source parameters: the run carries on with the new rates
+    document.querySelectorAll('.halogen-setting').forEach(input => {
+        input.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            setModuleSettings(state, 'halogens', { [input.id]: value });
+            document.getElementById(input.id + 'Value').textContent = value.toFixed(HALOGEN_DIGITS[input.id]);
+            updateReactionList();
+            updateLifetimeDisplay();
+        });
     });
     
     // Preset buttons
     document.getElementById('resetToBackground').addEventListener('click', () => {
-        initializeConcentrations('background');
+        initializeConcentrations(state, 'background');
         updateChart();
     });
     
     document.getElementById('resetToPolluted').addEventListener('click', () => {
-        initializeConcentrations('polluted');
+        initializeConcentrations(state, 'polluted');
         updateChart();
     });
     
     document.getElementById('resetToClean').addEventListener('click', () => {
-        initializeConcentrations('clean');
+        initializeConcentrations(state, 'clean');
         updateChart();
     });
     
@@ -561,31 +798,352 @@ function setupControls() {
     
     // Export buttons
     document.getElementById('exportCSV').addEventListener('click', exportToCSV);
+    document.getElementById('exportBudget').addEventListener('click', exportBudgetCSV);
     document.getElementById('exportImage').addEventListener('click', exportChartImage);
+    
+    // Monte Carlo ensemble over the rate uncertainties
+    document.getElementById('runEnsemble').addEventListener('click', startEnsemble);
+    document.getElementById('clearEnsemble').addEventListener('click', clearEnsemble);
+    
+    // Steady state and diurnal spin-up
+    document.getElementById('solveSteadyState').addEventListener('click', solveSteadyState);
+    document.getElementById('runSpinUp').addEventListener('click', startSpinUp);
+    
+    // O3 isopleths over NOx and VOC emissions
+    document.getElementById('runIsopleth').addEventListener('click', startIsopleth);
+    document.getElementById('isoplethField').addEventListener('change', updateIsopleth);
+    document.getElementById('exportIsopleth').addEventListener('click', exportIsoplethCSV);
+    window.addEventListener('resize', drawIsopleth);
+    
+    // Sobol indices over the chosen inputs
+    document.getElementById('sobolAddRate').addEventListener('change', (e) => {
+        addSobolRate(e.target.value);
+        e.target.value = '';
+    });
+    document.getElementById('runSobol').addEventListener('click', startSobol);
+    document.getElementById('exportSobol').addEventListener('click', exportSobolCSV);
+    
+    // Sensitivity analysis: run, pick the sample, sort by a species' column
+    document.getElementById('runSensitivity').addEventListener('click', startSensitivity);
+    document.getElementById('exportSensitivity').addEventListener('click', exportSensitivityCSV);
+    document.getElementById('sensitivityTime').addEventListener('input', updateSensitivityTable);
+    document.getElementById('sensitivityTable').addEventListener('click', (e) => {
+        const th = e.target.closest('th');
+        if (!th) return;
+        sensitivitySort = th.dataset.species || null;
+        updateSensitivityTable();
+    });
+}
+
+// Custom profile from the two factor lists (comma or space separated)
+function updateCustomProfile() {
+    const status = document.getElementById('customProfileStatus');
+    const factors = id => document.getElementById(id).value.split(/[\s,;]+/).filter(v => v).map(Number);
+    try {
+        setCustomProfile(state, { hourly: factors('customHourly'), weekday: factors('customWeekday') });
+        status.className = 'mechanism-status';
+        status.textContent = '';
+        updateEmissionDisplay();
+    } catch (err) {
+        status.className = 'mechanism-status error';
+        status.textContent = err.message;
+    }
 }
 
 // ==========================================
-// CHART SETUP AND UPDATE
+// MECHANISM IMPORT
 // ==========================================
 
-function setupChart() {
-    const ctx = document.getElementById('concentrationChart').getContext('2d');
+function loadMechanismFile(text, fileName) {
+    const status = document.getElementById('mechanismStatus');
+    try {
+        const result = importMechanism(text, { fileName: fileName });
+        importedMechanism = result.mechanism;
+        
+        const select = document.getElementById('mechanismSelect');
+        const option = select.querySelector('option[value="imported"]');
+        option.disabled = false;
+        option.textContent = result.mechanism.name;
+        select.value = 'imported';
+        switchMechanism(importedMechanism);
+        
+        const summary = `${Object.keys(importedMechanism.species).length} species, ` +
+            `${importedMechanism.reactions.length} reactions (${result.format.toUpperCase()})`;
+        status.className = 'mechanism-status' + (result.warnings.length ? ' warning' : '');
+        status.textContent = [summary].concat(result.warnings).join('\n');
+    } catch (err) {
+        status.className = 'mechanism-status error';
+        status.textContent = err.message;
+    }
+}
+
+// Start over with another mechanism; the chart gets one line per species
+function switchMechanism(mechanism) {
+    if (!mechanism) return;
+    pauseSimulation();
+    try {
+        setMechanism(state, mechanism);
+    } catch (err) {
+        // The selected modules do not fit the new mechanism: drop them
+        document.querySelectorAll('.module-toggle').forEach(toggle => { toggle.checked = false; });
+        state.modules = [];
+        setMechanism(state, mechanism);
+        showModuleStatus(err.message + '; modules switched off', 'warning');
+    }
+    mechanismChanged();
+}
+
+// Start over in another mode; the condition controls take its ranges
+// and defaults, and modules are switched off
+function switchMode(id) {
+    pauseSimulation();
+    setMode(state, id);
+    document.querySelectorAll('.module-toggle').forEach(toggle => { toggle.checked = false; });
+    showModuleStatus('', '');
+    
+    const select = document.getElementById('mechanismSelect');
+    select.querySelector('option[value="builtin"]').textContent = state.mechanism.name;
+    select.value = 'builtin';
+    
+    showModelSettings();
+    
+    const ranges = MODES[id].ranges;
+    const sliders = { temperature: 'tempValue', pressure: 'pressureValue' };
+    Object.keys(sliders).forEach(key => {
+        const [min, max] = ranges[key];
+        const slider = document.getElementById(key);
+        slider.min = min;
+        slider.max = max;
+        // A round step giving 50-500 positions along the slider
+        slider.step = Math.pow(10, Math.floor(Math.log10((max - min) / 50)));
+        slider.value = state[key];
+        document.getElementById(sliders[key]).textContent = state[key].toFixed(sliderDigits(slider));
+    });
+    document.getElementById('modeNote').textContent =
+        `${ranges.pressure.join('-')} hPa, ${ranges.temperature.join('-')} K`;
+    // A fixed H2O mixing ratio overrides the relative humidity
+    document.getElementById('relativeHumidity').disabled = state.h2oMixingRatio !== null;
+    
+    const labels = PRESET_LABELS[id];
+    Object.keys(labels).forEach(button => { document.getElementById(button).textContent = labels[button]; });
+    mechanismChanged();
+}
+
+// Sliders that show a model setting: [input, label, digits, model value]
+function settingSliders() {
+    const physics = state.physics;
+    return [
+        ['relativeHumidity', 'rhValue', 0, state.relativeHumidity],
+        ['altitude', 'altitudeValue', 1, state.photolysis.altitude],
+        ['ozoneColumn', 'ozoneColumnValue', 0, state.photolysis.ozoneColumn],
+        ['albedo', 'albedoValue', 2, state.photolysis.albedo],
+        ['attenuation', 'attenuationValue', 2, state.photolysis.attenuation],
+        ['blMin', 'blMinValue', 0, physics.boundaryLayer.minHeight],
+        ['blMax', 'blMaxValue', 0, physics.boundaryLayer.maxHeight],
+        ['dilutionRate', 'dilutionValue', 2, physics.dilutionRate],
+        ['aerosolSurface', 'aerosolSurfaceValue', 0, state.aerosol.area],
+        ['aerosolRadius', 'aerosolRadiusValue', 2, state.aerosol.radius]
+    ];
+}
+
+// Every settings control set from the model, after a mode switch has
+// put all of them back to the mode's defaults
+function showModelSettings() {
+    settingSliders().forEach(([input, label, digits, value]) => {
+        document.getElementById(input).value = value;
+        document.getElementById(label).textContent = value.toFixed(digits);
+    });
+    ['latitude', 'longitude', 'timeZone', 'startTime'].forEach(id => {
+        document.getElementById(id).value = state[id];
+    });
+    document.getElementById('diurnalCycle').checked = state.diurnalCycle;
+    document.getElementById('solarZenith').disabled = state.diurnalCycle;
+    document.getElementById('solverMethod').value = state.solver.method;
+    document.getElementById('rtol').value = state.solver.rtol;
+    document.getElementById('atol').value = state.solver.atol;
+    
+    document.getElementById('deposition').checked = state.physics.deposition;
+    document.getElementById('diurnalBoundaryLayer').checked = state.physics.boundaryLayer.diurnal;
+    document.getElementById('entrainment').checked = state.physics.entrainment;
+    
+    showEmissionControls();
+    Object.keys(EMISSION_CONTROLS).forEach(source => {
+        document.getElementById(EMISSION_CONTROLS[source].id + 'Profile').value = state.emissionProfiles[source] || 'flat';
+    });
+    document.getElementById('customHourly').value = state.customProfile.hourly.join(', ');
+    document.getElementById('customWeekday').value = state.customProfile.weekday.join(', ');
+    
+    // Module settings are back to their defaults
+    document.querySelectorAll('.halogen-setting').forEach(input => {
+        input.value = input.defaultValue;
+        document.getElementById(input.id + 'Value').textContent =
+            parseFloat(input.defaultValue).toFixed(HALOGEN_DIGITS[input.id]);
+    });
     
-    const datasets = Object.keys(SPECIES).map(sp => ({
-        label: SPECIES[sp].name,
+    document.getElementById('jTableFile').value = '';
+    document.getElementById('forcingFile').value = '';
+    document.getElementById('forcingStatus').className = 'mechanism-status';
+    document.getElementById('forcingStatus').textContent = '';
+    updateJTableStatus();
+    updatePhotolysisDisplay();
+    updateHumidityDisplay();
+}
+
+// Decimals that show a slider's step, e.g. 1 for a step of 0.1
+function sliderDigits(slider) {
+    return Math.max(0, -Math.floor(Math.log10(parseFloat(slider.step))));
+}
+
+// Initial-condition buttons in each mode
+const PRESET_LABELS = {
+    troposphere: {
+        resetToBackground: 'Background Atmosphere',
+        resetToPolluted: 'Polluted Conditions',
+        resetToClean: 'Clean Marine'
+    },
+    stratosphere: {
+        resetToBackground: 'Present-day Chlorine',
+        resetToPolluted: 'Ozone-free Start',
+        resetToClean: 'Pre-CFC Chlorine'
+    },
+    mars: {
+        resetToBackground: 'Present-day (Curiosity)',
+        resetToPolluted: 'Pure CO₂ Start',
+        resetToClean: 'Aphelion Season'
+    }
+};
+
+// Start over with the modules that are ticked
+function switchModules() {
+    const toggles = Array.from(document.querySelectorAll('.module-toggle'));
+    pauseSimulation();
+    try {
+        setModules(state, toggles.filter(t => t.checked).map(t => t.dataset.module));
+        showModuleStatus(`${state.mechanism.name}: ${Object.keys(state.mechanism.species).length} species, ` +
+            `${state.mechanism.reactions.length} reactions`, '');
+    } catch (err) {
+        toggles.forEach(toggle => { toggle.checked = state.modules.includes(toggle.dataset.module); });
+        showModuleStatus(err.message, 'error');
+        return;
+    }
+    mechanismChanged();
+}
+
+function showModuleStatus(text, level) {
+    const status = document.getElementById('moduleStatus');
+    status.className = 'mechanism-status' + (level ? ' ' + level : '');
+    status.textContent = text;
+}
+
+// Redraw everything that depends on the mechanism's species and reactions
+function mechanismChanged() {
+    clearEnsemble(); // its species may be gone
+    updateSobolInputs();
+    if (concentrationChart) {
+        concentrationChart.data.datasets = chartDatasets();
+    }
+    updateJTableStatus();
+    updateUI();
+    updateChart();
+}
+
+// ==========================================
+// J-VALUE TABLES
+// ==========================================
+
+function loadJTableFile(text, fileName) {
+    try {
+        setPhotolysis(state, { table: parseTable(text, fileName) });
+        updateJTableStatus();
+        updatePhotolysisDisplay();
+    } catch (err) {
+        const status = document.getElementById('jTableStatus');
+        status.className = 'mechanism-status error';
+        status.textContent = err.message;
+    }
+}
+
+// Table in use, and the mechanism's J-values it does not cover
+function updateJTableStatus() {
+    const status = document.getElementById('jTableStatus');
+    const table = state.photolysis.table;
+    const missing = missingFromTable(table, state.mechanism);
+    const lines = [`${table.source || 'J table'}: ${table.names.length} J-values on a ${table.sizes.join(' × ')} grid`];
+    if (missing.length) lines.push('Not in table, using parameterization: ' + missing.join(', '));
+    status.className = 'mechanism-status' + (missing.length ? ' warning' : '');
+    status.textContent = lines.join('\n');
+}
+
+// ==========================================
+// OBSERVED FORCING
+// ==========================================
+
+function loadForcingFile(text, fileName) {
+    const status = document.getElementById('forcingStatus');
+    try {
+        const forcing = parseForcing(text, fileName);
+        setForcing(state, forcing);
+        
+        const hours = (forcing.time[forcing.time.length - 1] - forcing.time[0]) / 3600;
+        const lines = [`${forcing.time.length} times over ${hours.toFixed(1)} h`];
+        const fields = Object.keys(forcing.fields);
+        const emitted = Object.keys(forcing.emissions);
+        const constrained = Object.keys(forcing.constrained);
+        if (fields.length) lines.push('Conditions: ' + fields.join(', '));
+        if (emitted.length) lines.push('Emissions: ' + emitted.join(', '));
+        if (constrained.length) lines.push('Held to observations: ' + constrained.join(', '));
+        status.className = 'mechanism-status';
+        status.textContent = lines.join('\n');
+        updateUI();
+    } catch (err) {
+        status.className = 'mechanism-status error';
+        status.textContent = err.message;
+    }
+}
+
+// ==========================================
+// CHART SETUP AND UPDATE
+// ==========================================
+
+// One line per species, then with an ensemble its 5 % and 95 % lines
+// (filled between) and its median for each species
+function chartDatasets() {
+    const species = state.mechanism.species;
+    const datasets = Object.keys(species).map(sp => ({
+        label: species[sp].name,
         data: [],
-        borderColor: SPECIES[sp].color,
-        backgroundColor: SPECIES[sp].color + '20',
+        borderColor: species[sp].color,
+        backgroundColor: species[sp].color + '20',
         borderWidth: 2,
         pointRadius: 0,
-        tension: 0.1
+        tension: 0.1,
+        spanGaps: true
     }));
+    if (!ensemble) return datasets;
+    
+    Object.keys(species).forEach(sp => {
+        const color = species[sp].color;
+        const band = { borderWidth: 0, pointRadius: 0, tension: 0.1, spanGaps: true, ensemble: sp };
+        datasets.push(Object.assign({ label: species[sp].name + ' 5%', data: [], fill: false, statistic: 'p5' }, band));
+        datasets.push(Object.assign({
+            label: species[sp].name + ' 95%', data: [], fill: '-1', backgroundColor: color + '30', statistic: 'p95'
+        }, band));
+        datasets.push({
+            label: species[sp].name + ' median', data: [], borderColor: color, borderDash: [6, 4], borderWidth: 1.5,
+            pointRadius: 0, tension: 0.1, spanGaps: true, ensemble: sp, statistic: 'median'
+        });
+    });
+    return datasets;
+}
+
+function setupChart() {
+    const ctx = document.getElementById('concentrationChart').getContext('2d');
     
     concentrationChart = new Chart(ctx, {
         type: 'line',
         data: {
             labels: [],
-            datasets: datasets
+            datasets: chartDatasets()
         },
         options: {
             responsive: true,
@@ -601,7 +1159,9 @@ function setupChart() {
                     labels: {
                         color: '#e2e8f0',
                         usePointStyle: true,
-                        padding: 10
+                        padding: 10,
+                        // The ensemble lines follow their species
+                        filter: (item, data) => !data.datasets[item.datasetIndex].ensemble
                     }
                 },
                 tooltip: {
@@ -654,13 +1214,22 @@ function updateChart() {
     // Update scale type
     concentrationChart.options.scales.y.type = logScale ? 'logarithmic' : 'linear';
     
-    // Update data
-    const timeHours = timeSeriesData.time.map(t => t / 3600);
-    concentrationChart.data.labels = timeHours;
+    // Update data, on the union of the run's and the ensemble's sample times
+    const times = ensemble
+        ? Array.from(new Set(state.series.time.concat(ensemble.time))).sort((a, b) => a - b)
+        : state.series.time;
+    concentrationChart.data.labels = times.map(t => t / 3600);
+    const onTimes = (sampleTimes, values) => {
+        if (!ensemble) return values;
+        const index = new Map(sampleTimes.map((t, i) => [t, i]));
+        return times.map(t => (index.has(t) ? values[index.get(t)] : null));
+    };
     
     concentrationChart.data.datasets.forEach((dataset, i) => {
-        const sp = Object.keys(SPECIES)[i];
-        dataset.data = timeSeriesData.concentrations[sp];
+        const sp = dataset.ensemble || Object.keys(state.mechanism.species)[i];
+        dataset.data = dataset.ensemble
+            ? onTimes(ensemble.time, ensemble.statistics[dataset.statistic][sp])
+            : onTimes(state.series.time, state.series.concentrations[sp]);
         dataset.hidden = !showAll && (sp === 'CO2' || sp === 'CH4'); // Hide high concentration species
     });
     
@@ -705,8 +1274,8 @@ function updateNetworkVisualization() {
     networkCtx.fillStyle = '#0a0f1a';
     networkCtx.fillRect(0, 0, width, height);
     
-    // Define node positions (manually for clarity)
-    const nodes = {
+    // Node positions for the built-in species (manually for clarity)
+    const layout = {
         CH4: { x: 100, y: 50 },
         CH3O2: { x: 250, y: 50 },
         CH2O: { x: 400, y: 50 },
@@ -716,24 +1285,32 @@ function updateNetworkVisualization() {
         HO2: { x: 400, y: 200 },
         NO: { x: 200, y: 300 },
         NO2: { x: 400, y: 300 },
-        O3: { x: 600, y: 200 }
+        O3: { x: 600, y: 200 },
+        CH3: { x: 175, y: 120 },
+        H2O2: { x: 300, y: 130 },
+        H: { x: 550, y: 120 },
+        O1D: { x: 700, y: 260 },
+        HNO3: { x: 550, y: 300 },
+        O: { x: 700, y: 140 }
     };
     
+    // Any other species of the mechanism go on a row along the bottom
+    const species = state.mechanism.species;
+    const extra = Object.keys(species).filter(sp => !layout[sp]);
+    const nodes = {};
+    Object.keys(species).forEach(sp => {
+        if (layout[sp]) {
+            nodes[sp] = layout[sp];
+        } else {
+            const i = extra.indexOf(sp);
+            nodes[sp] = { x: (i + 1) * width / (extra.length + 1), y: height - 30 };
+        }
+    });
+    
     const showRates = document.getElementById('showRates')?.checked ?? true;
     
-    // Draw arrows (reactions)
-    const arrows = [
-        { from: 'CH4', to: 'CH3O2', label: 'OH' },
-        { from: 'CH3O2', to: 'CH2O', label: 'NO' },
-        { from: 'CH2O', to: 'CO', label: 'OH/hν' },
-        { from: 'CO', to: 'CO2', label: 'OH' },
-        { from: 'OH', to: 'HO2', label: '' },
-        { from: 'HO2', to: 'OH', label: 'NO' },
-        { from: 'NO', to: 'NO2', label: 'O₃/HO₂' },
-        { from: 'NO2', to: 'NO', label: 'hν' },
-        { from: 'NO2', to: 'O3', label: 'hν+O₂' },
-        { from: 'O3', to: 'OH', label: 'hν+H₂O' }
-    ];
+    // Draw arrows (reactions grouped by species family)
+    const arrows = networkArrows(state.mechanism);
     
     arrows.forEach(arrow => {
         const from = nodes[arrow.from];
@@ -750,7 +1327,7 @@ function updateNetworkVisualization() {
         const conc = state.concentrations[sp] || 0;
         const size = Math.max(15, Math.min(30, Math.log10(conc + 1) * 5));
         
-        drawNode(networkCtx, node.x, node.y, size, SPECIES[sp].color, SPECIES[sp].name);
+        drawNode(networkCtx, node.x, node.y, size, species[sp].color, species[sp].name);
     });
     
     // Update reaction list
@@ -1014,23 +1591,20 @@ function updateReactionList() {
     const container = document.getElementById('reactionList');
     if (!container) return;
     
-    const c = state.concentrations;
-    const T = state.temperature;
-    const P = state.pressure;
-    const sza = state.solarZenithAngle;
-    
-    const reactions = [
-        { eq: 'CH₄ + OH → products', rate: getRateConstant('CH4_OH', T, P, sza) * c.CH4 * c.OH },
-        { eq: 'CO + OH → CO₂', rate: getRateConstant('CO_OH', T, P, sza) * c.CO * c.OH },
-        { eq: 'NO + O₃ → NO₂', rate: getRateConstant('NO_O3', T, P, sza) * c.NO * c.O3 },
-        { eq: 'NO₂ + hν → NO + O', rate: getRateConstant('NO2_photolysis', T, P, sza) * c.NO2 },
-        { eq: 'HO₂ + NO → OH + NO₂', rate: getRateConstant('HO2_NO', T, P, sza) * c.HO2 * c.NO }
-    ];
+    const mechanism = state.mechanism;
+    const env = modelEnvironment(state);
+    const rates = reactionRates(mechanism, state.concentrations, env.k);
+    
+    // Every reaction of the mechanism, fastest first (ppb/s)
+    const reactions = mechanism.reactions
+        .map((rxn, i) => ({ eq: rxn.equation, rate: rates[i], info: reactionInfo(rxn) }))
+        .sort((a, b) => b.rate - a.rate);
     
     container.innerHTML = '';
     reactions.forEach(rxn => {
         const item = document.createElement('div');
         item.className = 'reaction-item';
+        item.title = rxn.info;
         
         const eq = document.createElement('span');
         eq.className = 'reaction-equation';
@@ -1046,34 +1620,647 @@ function updateReactionList() {
     });
 }
 
+// Tooltip text: notes and the source of the rate parameters
+function reactionInfo(rxn) {
+    const lines = [];
+    if (rxn.note) lines.push(rxn.note);
+    if (rxn.source) lines.push('Source: ' + (SOURCES[rxn.source] || rxn.source));
+    const uncertainty = reactionUncertainty(rxn);
+    lines.push(`Uncertainty: f(298) = ${uncertainty.f298}, g = ${uncertainty.g} K`);
+    return lines.join('\n');
+}
+
 // ==========================================
-// EXPORT FUNCTIONS
+// STEADY STATE
 // ==========================================
 
-function exportToCSV() {
-    let csv = 'Time(hours)';
-    Object.keys(SPECIES).forEach(sp => {
-        csv += ',' + SPECIES[sp].name + '(ppb)';
+function showSteadyStateStatus(message, className = 'mechanism-status') {
+    const status = document.getElementById('steadyStateStatus');
+    status.className = className;
+    status.textContent = message;
+}
+
+// Hold lifetime (s) from the days input
+function steadyHoldLifetime() {
+    return parseFloat(document.getElementById('steadyHoldDays').value) * 86400;
+}
+
+// Newton fixed point under the current conditions
+function solveSteadyState() {
+    pauseSimulation();
+    let result;
+    try {
+        result = steadyState(state, { holdLifetime: steadyHoldLifetime() });
+    } catch (err) {
+        showSteadyStateStatus(err.message, 'mechanism-status error');
+        return;
+    }
+    state.concentrations = result.concentrations;
+    const species = state.mechanism.species;
+    showSteadyStateStatus(`Steady state after ${result.iterations} iterations` +
+        (result.held.length ? `; held ${result.held.map(sp => species[sp].name).join(', ')}` : ''));
+    updateUI();
+}
+
+// Run the 24 h (one sol) from the current time over and over until it repeats
+function startSpinUp() {
+    pauseSimulation();
+    const day = state.planet === 'mars' ? 'Sol' : 'Day';
+    const button = document.getElementById('runSpinUp');
+    const mechanism = state.mechanism;
+    const time = state.time;
+    showSteadyStateStatus('');
+    button.disabled = true;
+    
+    runAnalysis('spinUp', [timeStepSize, {
+        tol: parseFloat(document.getElementById('spinUpTolerance').value) / 100,
+        maxCycles: parseFloat(document.getElementById('spinUpDays').value),
+        holdLifetime: steadyHoldLifetime()
+    }], {
+        progress: progress => showSteadyStateStatus(
+            `${day} ${progress.completed}: largest change ${(100 * progress.change).toPrecision(2)} %`),
+        error: message => {
+            button.disabled = false;
+            showSteadyStateStatus(message, 'mechanism-status error');
+        },
+        result: result => {
+            button.disabled = false;
+            // Drop it if the model moved on meanwhile
+            if (mechanism !== state.mechanism || time !== state.time) {
+                showSteadyStateStatus('The model changed during the spin-up; result discarded', 'mechanism-status error');
+                return;
+            }
+            state.concentrations = result.concentrations;
+            const change = (100 * result.change).toPrecision(2);
+            showSteadyStateStatus(result.converged
+                ? `Periodic after ${result.cycles} ${day.toLowerCase()}s (last change ${change} %)`
+                : `Not periodic after ${result.cycles} ${day.toLowerCase()}s (last change ${change} %)`);
+            updateUI();
+        }
+    });
+}
+
+// ==========================================
+// UNCERTAINTY ENSEMBLE
+// ==========================================
+
+// Run the members, reporting each as it finishes
+function startEnsemble() {
+    const status = document.getElementById('ensembleStatus');
+    const button = document.getElementById('runEnsemble');
+    const value = id => parseFloat(document.getElementById(id).value);
+    const mechanism = state.mechanism;
+    status.className = 'mechanism-status';
+    status.textContent = '';
+    button.disabled = true;
+    
+    runAnalysis('ensemble', [value('analysisHours') * 3600, timeStepSize, {
+        members: value('ensembleMembers'),
+        emissionUncertainty: value('emissionUncertainty'),
+        initialUncertainty: value('initialUncertainty'),
+        seed: Date.now()
+    }], {
+        progress: progress => { status.textContent = `Member ${progress.completed} of ${progress.total}`; },
+        error: message => {
+            button.disabled = false;
+            status.className = 'mechanism-status error';
+            status.textContent = message;
+        },
+        result: result => {
+            // Drop it if the mechanism changed meanwhile
+            if (mechanism === state.mechanism) {
+                ensemble = result;
+                status.textContent = `${result.members} members`;
+            } else {
+                status.textContent = 'Mechanism changed during the run; ensemble discarded';
+            }
+            button.disabled = false;
+            document.getElementById('clearEnsemble').disabled = !ensemble;
+            if (concentrationChart) concentrationChart.data.datasets = chartDatasets();
+            updateChart();
+        }
     });
-    csv += '\n';
+}
+
+function clearEnsemble() {
+    ensemble = null;
+    document.getElementById('clearEnsemble').disabled = true;
+    document.getElementById('ensembleStatus').textContent = '';
+    if (concentrationChart) concentrationChart.data.datasets = chartDatasets();
+    updateChart();
+}
+
+// ==========================================
+// SENSITIVITY ANALYSIS
+// ==========================================
+
+// The last result (see atmos-analysis.js) with the mechanism it was
+// computed for, and the species the table is sorted by
+let sensitivity = null;
+let sensitivityMechanism = null;
+let sensitivitySort = null; // null: mechanism order
+
+// Run the perturbed integrations, showing the progress
+function startSensitivity() {
+    const status = document.getElementById('sensitivityStatus');
+    const button = document.getElementById('runSensitivity');
+    const hours = parseFloat(document.getElementById('analysisHours').value);
+    const mechanism = state.mechanism;
+    status.className = 'mechanism-status';
+    status.textContent = '';
+    button.disabled = true;
+    
+    runAnalysis('sensitivity', [hours * 3600, timeStepSize], {
+        progress: progress => { status.textContent = `Run ${progress.completed} of ${progress.total}`; },
+        error: message => {
+            button.disabled = false;
+            status.className = 'mechanism-status error';
+            status.textContent = message;
+        },
+        result: result => {
+            sensitivity = result;
+            sensitivityMechanism = mechanism;
+            if (sensitivitySort && !sensitivityMechanism.species[sensitivitySort]) sensitivitySort = null;
+            status.textContent = `${result.reactions.length} reactions × ${result.species.length} species over ${hours} h`;
+            
+            const slider = document.getElementById('sensitivityTime');
+            slider.max = sensitivity.time.length - 1;
+            slider.value = slider.max;
+            document.getElementById('sensitivityTimeGroup').hidden = false;
+            button.disabled = false;
+            document.getElementById('exportSensitivity').disabled = false;
+            updateSensitivityTable();
+        }
+    });
+}
+
+// Red for positive, blue for negative coefficients, saturating at |S| = 1
+function heatmapColour(s) {
+    const alpha = Math.min(1, Math.abs(s)).toFixed(2);
+    return s >= 0 ? `rgba(239, 68, 68, ${alpha})` : `rgba(59, 130, 246, ${alpha})`;
+}
+
+// Reactions × species heatmap at the selected sample
+function updateSensitivityTable() {
+    const table = document.getElementById('sensitivityTable');
+    if (!sensitivity) {
+        table.innerHTML = '';
+        return;
+    }
+    const sample = parseInt(document.getElementById('sensitivityTime').value, 10);
+    document.getElementById('sensitivityTimeValue').textContent = (sensitivity.time[sample] / 3600).toFixed(2) + ' h';
+    
+    const species = sensitivityMechanism.species;
+    const order = sensitivitySort ? rankReactions(sensitivity, sensitivitySort, sample) : sensitivity.reactions;
+    const heading = (sp, label) =>
+        `<th data-species="${sp}"${sp === (sensitivitySort || '') ? ' class="sorted"' : ''}>${label}</th>`;
+    const rows = ['<tr>' + heading('', 'Reaction') +
+        sensitivity.species.map(sp => heading(sp, species[sp].name)).join('') + '</tr>'];
+    order.forEach(id => {
+        const rxn = sensitivityMechanism.reactions[sensitivityMechanism.index[id]];
+        rows.push(`<tr><td title="${id}">${rxn.equation}</td>` + sensitivity.species.map(sp => {
+            const s = sensitivity.coefficients[id][sp][sample];
+            return `<td style="background:${heatmapColour(s)}">${s.toFixed(2)}</td>`;
+        }).join('') + '</tr>');
+    });
+    table.innerHTML = rows.join('');
+}
+
+// ==========================================
+// GLOBAL SENSITIVITY (SOBOL)
+// ==========================================
+
+// Rate constants are varied by up to this factor either way
+const SOBOL_RATE_FACTOR = 2;
+
+// Last result, with the labels of its inputs, and its bar chart
+let sobol = null;
+let sobolLabels = [];
+let sobolChart = null;
+
+// One row of the input table: include?, name, min, max
+function sobolInputRow(id, label, min, max, checked, log = false) {
+    const row = document.createElement('tr');
+    row.dataset.input = id;
+    row.dataset.label = label;
+    row.dataset.log = log ? '1' : '';
+    row.innerHTML = `<td><label><input type="checkbox" class="sobol-use"${checked ? ' checked' : ''}> ${label}</label></td>` +
+        `<td><input type="number" class="sobol-min" value="${min}" step="any"></td>` +
+        `<td><input type="number" class="sobol-max" value="${max}" step="any"></td>`;
+    return row;
+}
+
+// Inputs and outputs on offer for the current mechanism and mode:
+// conditions, the initial NOx, each emission the mechanism has and,
+// once added, rate constants
+function updateSobolInputs() {
+    const species = state.mechanism.species;
+    const output = document.getElementById('sobolSpecies');
+    const previous = output.value;
+    output.innerHTML = Object.keys(species).map(sp => `<option value="${sp}">${species[sp].name}</option>`).join('');
+    output.value = species[previous] ? previous : (species.O3 ? 'O3' : Object.keys(species)[0]);
+    
+    const rates = document.getElementById('sobolAddRate');
+    rates.innerHTML = '<option value="">–</option>' + state.mechanism.reactions
+        .map(rxn => `<option value="${rxn.id}">${rxn.equation}</option>`).join('');
+    
+    const ranges = MODES[state.mode].ranges;
+    const table = document.getElementById('sobolInputs');
+    table.innerHTML = '<tr><th>Input</th><th>Min</th><th>Max</th></tr>';
+    const round = v => parseFloat(v.toPrecision(3));
+    table.appendChild(sobolInputRow('temperature', 'Temperature (K)',
+        Math.max(ranges.temperature[0], state.temperature - 10), Math.min(ranges.temperature[1], state.temperature + 10), false));
+    table.appendChild(sobolInputRow('pressure', 'Pressure (hPa)', ranges.pressure[0], ranges.pressure[1], false));
+    if (species.NO) table.appendChild(sobolInputRow('noxLevel', 'Initial NOₓ (ppb)', 0.1, 20, true, true));
+    Object.keys(EMISSION_CONTROLS).forEach(source => {
+        if (!species[source === 'NOx' ? 'NO' : source]) return;
+        const max = parseFloat(document.getElementById(EMISSION_CONTROLS[source].id + 'Emission').max);
+        table.appendChild(sobolInputRow('emission:' + source, EMISSION_CONTROLS[source].label + ' emission (ppb/day)',
+            0, round(max), source === 'CH4' && state.mode === 'troposphere'));
+    });
+}
+
+// Add a rate constant to the inputs, as a factor on k
+function addSobolRate(id) {
+    const table = document.getElementById('sobolInputs');
+    if (!id || table.querySelector(`tr[data-input="rate:${id}"]`)) return;
+    table.appendChild(sobolInputRow('rate:' + id, `k(${id}) factor`, 1 / SOBOL_RATE_FACTOR, SOBOL_RATE_FACTOR, true, true));
+}
+
+// Checked inputs as [{ id, min, max, log }]
+function sobolInputs() {
+    return Array.from(document.querySelectorAll('#sobolInputs tr[data-input]'))
+        .filter(row => row.querySelector('.sobol-use').checked)
+        .map(row => ({
+            id: row.dataset.input,
+            label: row.dataset.label,
+            min: parseFloat(row.querySelector('.sobol-min').value),
+            max: parseFloat(row.querySelector('.sobol-max').value),
+            log: row.dataset.log === '1'
+        }));
+}
+
+// Run the N·(d + 2) points, showing the progress
+function startSobol() {
+    const status = document.getElementById('sobolStatus');
+    const button = document.getElementById('runSobol');
+    const inputs = sobolInputs();
+    const species = state.mechanism.species;
+    status.className = 'mechanism-status';
+    status.textContent = '';
+    button.disabled = true;
+    
+    runAnalysis('sobol', [parseFloat(document.getElementById('analysisHours').value) * 3600, timeStepSize, inputs, {
+        species: document.getElementById('sobolSpecies').value,
+        statistic: document.getElementById('sobolStatistic').value
+    }, { samples: parseFloat(document.getElementById('sobolSamples').value), seed: Date.now() }], {
+        progress: progress => { status.textContent = `Run ${progress.completed} of ${progress.total}`; },
+        error: message => {
+            button.disabled = false;
+            status.className = 'mechanism-status error';
+            status.textContent = message;
+        },
+        result: result => {
+            sobol = result;
+            sobolLabels = inputs.map(input => input.label);
+            const runs = result.samples * (result.inputs.length + 2);
+            const lines = [`${species[result.output.species].name} ` +
+                `${result.output.statistic === 'mean' ? 'mean' : 'at the end'}: ${result.mean.toPrecision(3)} ± ` +
+                `${Math.sqrt(result.variance).toPrecision(2)} ppb over ${runs} runs`];
+            const unresolved = unresolvedSobolInputs(result);
+            if (unresolved.length) {
+                status.className = 'mechanism-status warning';
+                lines.push('First-order index within sampling noise, not drawn (raise the base samples): ' +
+                    unresolved.map(i => `${sobolLabels[i]} (S ${result.firstOrder[i].toPrecision(2)}, ` +
+                        `ST ${result.total[i].toPrecision(2)})`).join(', '));
+            }
+            status.textContent = lines.join('\n');
+            button.disabled = false;
+            document.getElementById('exportSobol').disabled = false;
+            updateSobolChart();
+        }
+    });
+}
+
+// Inputs whose first-order index is below 0 or above their total one,
+// which only sampling noise can give
+function unresolvedSobolInputs(result) {
+    return result.inputs.map((input, i) => i)
+        .filter(i => result.firstOrder[i] < 0 || result.firstOrder[i] > result.total[i]);
+}
+
+// First-order and total index of each input as grouped bars, leaving
+// out first-order indices that are only noise; the tooltips give the
+// bootstrap intervals
+function updateSobolChart() {
+    if (!sobol) return;
+    const unresolved = unresolvedSobolInputs(sobol);
+    const datasets = [
+        {
+            label: 'First-order',
+            data: sobol.firstOrder.map((s, i) => (unresolved.includes(i) ? null : s)),
+            intervals: sobol.firstOrderCI,
+            backgroundColor: '#38bdf8'
+        },
+        { label: 'Total', data: sobol.total, intervals: sobol.totalCI, backgroundColor: '#f59e0b' }
+    ];
+    if (sobolChart) {
+        sobolChart.data.labels = sobolLabels;
+        sobolChart.data.datasets = datasets;
+        sobolChart.update();
+        return;
+    }
+    const axis = title => ({
+        title: { display: !!title, text: title, color: '#94a3b8' },
+        ticks: { color: '#94a3b8' },
+        grid: { color: '#334155' }
+    });
+    sobolChart = new Chart(document.getElementById('sobolChart').getContext('2d'), {
+        type: 'bar',
+        data: { labels: sobolLabels, datasets: datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { labels: { color: '#e2e8f0' } },
+                tooltip: {
+                    callbacks: {
+                        label: item => {
+                            const [low, high] = item.dataset.intervals[item.dataIndex];
+                            return `${item.dataset.label}: ${item.raw.toFixed(3)} ` +
+                                `(${SOBOL_CONFIDENCE} % interval ${low.toFixed(3)} to ${high.toFixed(3)})`;
+                        }
+                    }
+                }
+            },
+            scales: { x: axis(''), y: Object.assign(axis('Sobol index'), { min: 0 }) }
+        }
+    });
+}
+
+// ==========================================
+// O3 ISOPLETHS (EKMA)
+// ==========================================
+
+const ISOPLETH_LABELS = {
+    peak: { name: 'Peak O₃', unit: 'ppb' },
+    mean: { name: 'Daytime mean O₃', unit: 'ppb' },
+    production: { name: 'Daytime mean P(O₃)', unit: 'ppb/h' }
+};
+
+// Colour scale from low (blue) to high (red) values
+const ISOPLETH_COLOURS = [[30, 58, 138], [13, 148, 136], [234, 179, 8], [220, 38, 38]];
+
+let isopleth = null;
+
+// Sweep the NOx × VOC emission grid, showing the progress
+function startIsopleth() {
+    const status = document.getElementById('isoplethStatus');
+    const button = document.getElementById('runIsopleth');
+    const optional = id => {
+        const value = document.getElementById(id).value;
+        return value === '' ? undefined : parseFloat(value);
+    };
+    status.className = 'mechanism-status';
+    status.textContent = '';
+    button.disabled = true;
+    
+    runAnalysis('isopleth', [parseFloat(document.getElementById('analysisHours').value) * 3600, timeStepSize, {
+        steps: optional('isoplethSteps'),
+        noxMax: optional('isoplethNoxMax'),
+        vocMax: optional('isoplethVocMax')
+    }], {
+        progress: progress => { status.textContent = `Run ${progress.completed} of ${progress.total}`; },
+        error: message => {
+            button.disabled = false;
+            status.className = 'mechanism-status error';
+            status.textContent = message;
+        },
+        result: result => {
+            isopleth = result;
+            button.disabled = false;
+            document.getElementById('exportIsopleth').disabled = false;
+            updateIsopleth();
+        }
+    });
+}
+
+function isoplethColour(fraction) {
+    const x = Math.min(1, Math.max(0, fraction)) * (ISOPLETH_COLOURS.length - 1);
+    const i = Math.min(ISOPLETH_COLOURS.length - 2, Math.floor(x));
+    const rgb = ISOPLETH_COLOURS[i].map((c, k) => Math.round(c + (x - i) * (ISOPLETH_COLOURS[i + 1][k] - c)));
+    return `rgb(${rgb.join(', ')})`;
+}
+
+// Up to about 8 round contour levels strictly between min and max
+function contourLevels(min, max) {
+    const raw = (max - min) / 8;
+    if (!(raw > 0)) return [];
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+    const levels = [];
+    for (let level = Math.ceil(min / step) * step; level < max; level += step) {
+        if (level > min) levels.push(parseFloat(level.toPrecision(6)));
+    }
+    return levels;
+}
+
+// Marching squares: segments [[x, y], [x, y]] of the level contour of
+// grid[row][column] over columns xs and rows ys
+function contourSegments(grid, xs, ys, level) {
+    const segments = [];
+    const cross = (x1, y1, v1, x2, y2, v2) => {
+        const t = (level - v1) / (v2 - v1);
+        return [x1 + t * (x2 - x1), y1 + t * (y2 - y1)];
+    };
+    for (let r = 0; r < ys.length - 1; r++) {
+        for (let c = 0; c < xs.length - 1; c++) {
+            // Corners anticlockwise from bottom left, and the edges between them
+            const corners = [
+                [xs[c], ys[r], grid[r][c]], [xs[c + 1], ys[r], grid[r][c + 1]],
+                [xs[c + 1], ys[r + 1], grid[r + 1][c + 1]], [xs[c], ys[r + 1], grid[r + 1][c]]
+            ];
+            const points = [];
+            corners.forEach((a, k) => {
+                const b = corners[(k + 1) % 4];
+                if ((a[2] >= level) !== (b[2] >= level)) points.push(cross(...a, ...b));
+            });
+            // Two crossings: one segment; four (a saddle): pair them in order
+            for (let k = 0; k + 1 < points.length; k += 2) segments.push([points[k], points[k + 1]]);
+        }
+    }
+    return segments;
+}
+
+// Filled map, contours, ridge line and the current scenario
+function drawIsopleth() {
+    const canvas = document.getElementById('isoplethCanvas');
+    const ctx = canvas.getContext('2d');
+    if (!ctx || !isopleth) return;
+    const field = document.getElementById('isoplethField').value;
+    const label = ISOPLETH_LABELS[field];
+    canvas.width = Math.max(400, canvas.parentElement.clientWidth || 600);
+    canvas.height = 380;
+    
+    const plot = { left: 60, right: canvas.width - 20, top: 15, bottom: canvas.height - 45 };
+    const vocMax = isopleth.voc[isopleth.voc.length - 1];
+    const noxMax = isopleth.nox[isopleth.nox.length - 1];
+    const px = voc => plot.left + voc / vocMax * (plot.right - plot.left);
+    const py = nox => plot.bottom - nox / noxMax * (plot.bottom - plot.top);
+    
+    ctx.fillStyle = '#0a0f1a';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    // Field, bilinearly interpolated in 4 px blocks
+    const values = [].concat(...isopleth.fields[field]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const block = 4;
+    for (let x = plot.left; x < plot.right; x += block) {
+        for (let y = plot.top; y < plot.bottom; y += block) {
+            const voc = (x + block / 2 - plot.left) / (plot.right - plot.left) * vocMax;
+            const nox = (plot.bottom - y - block / 2) / (plot.bottom - plot.top) * noxMax;
+            const value = interpolateGrid(isopleth, field, voc, nox);
+            ctx.fillStyle = isoplethColour(max > min ? (value - min) / (max - min) : 0.5);
+            ctx.fillRect(x, y, block, block);
+        }
+    }
     
-    timeSeriesData.time.forEach((t, i) => {
-        csv += (t / 3600).toFixed(4);
-        Object.keys(SPECIES).forEach(sp => {
-            csv += ',' + timeSeriesData.concentrations[sp][i].toFixed(6);
+    // Contours, each labelled at its longest segment
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'center';
+    contourLevels(min, max).forEach(level => {
+        const segments = contourSegments(isopleth.fields[field], isopleth.voc, isopleth.nox, level);
+        if (!segments.length) return;
+        ctx.beginPath();
+        segments.forEach(([a, b]) => {
+            ctx.moveTo(px(a[0]), py(a[1]));
+            ctx.lineTo(px(b[0]), py(b[1]));
         });
-        csv += '\n';
+        ctx.stroke();
+        const length = ([a, b]) => Math.hypot(px(b[0]) - px(a[0]), py(b[1]) - py(a[1]));
+        const [a, b] = segments.reduce((best, s) => length(s) > length(best) ? s : best);
+        ctx.fillText(String(level), (px(a[0]) + px(b[0])) / 2, (py(a[1]) + py(b[1])) / 2 - 3);
     });
     
-    const blob = new Blob([csv], { type: 'text/csv' });
+    // Ridge line: NOx of the maximum at each VOC emission
+    ctx.strokeStyle = '#f43f5e';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    let drawing = false;
+    isopleth.ridges[field].forEach((nox, column) => {
+        if (nox === null) {
+            drawing = false;
+            return;
+        }
+        if (drawing) ctx.lineTo(px(isopleth.voc[column]), py(nox));
+        else ctx.moveTo(px(isopleth.voc[column]), py(nox));
+        drawing = true;
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    // Current scenario
+    const scenario = isopleth.scenario;
+    if (scenario.voc <= vocMax && scenario.nox <= noxMax) {
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#0a0f1a';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(px(scenario.voc), py(scenario.nox), 5, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+    }
+    
+    // Axes
+    ctx.fillStyle = '#94a3b8';
+    ctx.strokeStyle = '#334155';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+    ctx.font = '11px Arial';
+    ctx.textAlign = 'center';
+    isopleth.voc.forEach(voc => ctx.fillText(parseFloat(voc.toPrecision(3)), px(voc), plot.bottom + 15));
+    const sources = Object.keys(isopleth.share).filter(source => isopleth.share[source] > 0);
+    ctx.fillText(`VOC emission (${sources.join(' + ')}, ppb/day)`,
+        (plot.left + plot.right) / 2, plot.bottom + 35);
+    ctx.textAlign = 'right';
+    isopleth.nox.forEach(nox => ctx.fillText(parseFloat(nox.toPrecision(3)), plot.left - 6, py(nox) + 4));
+    ctx.save();
+    ctx.translate(15, (plot.top + plot.bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('NOₓ emission (ppb/day)', 0, 0);
+    ctx.restore();
+    
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(`${label.name} (${label.unit})`, plot.left + 8, plot.top + 15);
+}
+
+// Redraw for the chosen field and report the scenario's regime
+function updateIsopleth() {
+    if (!isopleth) return;
+    const field = document.getElementById('isoplethField').value;
+    const label = ISOPLETH_LABELS[field];
+    const scenario = isopleth.scenario;
+    const value = interpolateGrid(isopleth, field, scenario.voc, scenario.nox);
+    const lines = [`Current scenario (●): ${label.name} ${value.toFixed(1)} ${label.unit}, ` +
+        `${isoplethRegime(isopleth, field, scenario.voc, scenario.nox)}`];
+    const response = isopleth.vocResponse[field];
+    if (response < ISOPLETH_FLAT) {
+        const sources = Object.keys(isopleth.share).map(source => EMISSION_CONTROLS[source].label).join(' + ');
+        lines.push(`${label.name} changes by at most ${(100 * response).toFixed(1)} % along the VOC axis ` +
+            `(${sources}), so no ridge line is drawn. Slow-reacting VOCs such as CH₄ and CO barely move it; ` +
+            'CH₂O or isoprene emissions do.');
+    }
+    const status = document.getElementById('isoplethStatus');
+    status.className = response < ISOPLETH_FLAT ? 'mechanism-status warning' : 'mechanism-status';
+    status.textContent = lines.join('\n');
+    drawIsopleth();
+}
+
+// ==========================================
+// EXPORT FUNCTIONS
+// ==========================================
+
+// Save text as a CSV file through a temporary link
+function downloadCSV(filename, text) {
+    const blob = new Blob([text], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'atmospheric_chemistry_data.csv';
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
 }
 
+function exportToCSV() {
+    downloadCSV('atmospheric_chemistry_data.csv', timeSeriesToCSV(state.series, state.mechanism.species, ensemble));
+}
+
+function exportBudgetCSV() {
+    downloadCSV('atmospheric_chemistry_budget.csv', budgetToCSV(state.series, state.mechanism.species));
+}
+
+function exportSensitivityCSV() {
+    if (!sensitivity) return;
+    downloadCSV('atmospheric_chemistry_sensitivity.csv', sensitivityToCSV(sensitivity, sensitivityMechanism.species));
+}
+
+function exportSobolCSV() {
+    if (!sobol) return;
+    downloadCSV('atmospheric_chemistry_sobol.csv', sobolToCSV(sobol));
+}
+
+function exportIsoplethCSV() {
+    if (!isopleth) return;
+    downloadCSV('atmospheric_chemistry_isopleth.csv', isoplethToCSV(isopleth));
+}
+
 function exportChartImage() {
     const url = concentrationChart.toBase64Image();
     const a = document.createElement('a');
@@ -0,0 +1,44 @@
+// ==========================================
+// ATMOSPHERIC CHEMISTRY SIMULATOR
+// Web Worker: integrates the model in batches of steps off the page's
+// thread (see BATCHES in atmos-engine.js), or runs one analysis job
+// (see ANALYSES in atmos-analysis.js)
+// In:  { id, snapshot, parts, steps, dt }, parts holding whichever of
+//      mechanism (definition), table and forcing changed since the last batch
+//      or { id, snapshot, parts, analysis: { kind, args } }
+// Out: { id, batch } or { id, error }; for an analysis, { id, progress }
+//      after each run and then { id, result } or { id, error }
+// ==========================================
+
+importScripts('atmos-mechanism.js?v=2.0', 'atmos-modules.js?v=2.0', 'atmos-photolysis.js?v=2.0',
+    'atmos-forcing.js?v=2.0', 'atmos-physics.js?v=2.0', 'atmos-engine.js?v=2.0', 'atmos-analysis.js?v=2.0');
+
+// Mechanism, J table and forcing of the model being run
+const parts = { mechanism: null, table: null, forcing: null };
+
+// Run a job to the end, reporting after each of its runs
+function runAnalysis(id, model, analysis) {
+    const { create, step, result } = AtmosAnalysis.ANALYSES[analysis.kind];
+    const job = create(model, ...analysis.args);
+    let more = true;
+    while (more) {
+        more = step(job);
+        self.postMessage({ id: id, progress: AtmosAnalysis.jobProgress(job) });
+    }
+    self.postMessage({ id: id, result: result(job) });
+}
+
+self.onmessage = (e) => {
+    const { id, snapshot, steps, dt, analysis } = e.data;
+    try {
+        Object.keys(e.data.parts).forEach(key => {
+            const part = e.data.parts[key];
+            parts[key] = key === 'mechanism' ? AtmosMechanism.compileMechanism(part) : part;
+        });
+        const model = AtmosEngine.restoreSnapshot(snapshot, parts);
+        if (analysis) runAnalysis(id, model, analysis);
+        else self.postMessage({ id: id, batch: AtmosEngine.runBatch(model, steps, dt) });
+    } catch (err) {
+        self.postMessage({ id: id, error: err.message });
+    }
+};